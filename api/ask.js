@@ -0,0 +1,104 @@
+import { complete } from "../lib/providers/index.js";
+import { bestSentence, getDocument, searchDocument } from "../lib/documents.js";
+import { loadConversation, saveConversation } from "../lib/conversations.js";
+import { buildContext } from "../lib/context.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { ApiError, badRequest } from "../lib/errors.js";
+import { validateBody } from "../lib/schema.js";
+import { resolvePrompt } from "../lib/prompts.js";
+
+// Questions about documents uploaded with /api/documents. The chunks that best
+// match the question (BM25, lib/documents.js) are numbered and sent as
+// excerpts; the answer cites them as [1], [2], ... and the response maps each
+// citation back to its document, chunk and page with a supporting quote.
+//
+// POST /api/ask  Body: { documentId | documentIds, question, conversationId?, topK? }
+//   -> { answer, citations, sources, conversationId, preset }
+//
+// Pass the returned conversationId to ask follow-ups; the documents are
+// remembered with the conversation.
+
+const DEFAULT_TOP_K = 5;
+const MAX_DOCUMENTS = 10;
+// Its own store, so chat conversation ids mean nothing here (lib/conversations.js)
+const NAMESPACE = "qa-conversations";
+
+const BODY_SCHEMA = {
+  type: "object",
+  required: ["question"],
+  properties: {
+    question: { type: "string", minLength: 1, maxLength: 4000 },
+    documentId: { type: "string", minLength: 1, maxLength: 100 },
+    documentIds: { type: "array", minItems: 1, maxItems: MAX_DOCUMENTS, items: { type: "string", minLength: 1, maxLength: 100 } },
+    conversationId: { type: "string", maxLength: 100 },
+    topK: { type: "integer", minimum: 1, maximum: 20 },
+    // Prompt preset and template variables (lib/prompts.js); the excerpts are appended to it
+    preset: { type: "string", maxLength: 100 },
+    variables: { type: "object" },
+  },
+};
+
+export default withRequest("ask", async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const body = validateBody(req.body, BODY_SCHEMA);
+  const question = body.question.trim();
+  if (!question) throw badRequest("Question must not be blank");
+
+  const persona = await resolvePrompt("ask", body);
+  const conversation = await loadConversation(body.conversationId, { userId: user.id, namespace: NAMESPACE });
+  const documentIds = body.documentIds || (body.documentId ? [body.documentId] : conversation.metadata.documentIds);
+  if (!documentIds?.length) throw badRequest("documentId or documentIds is required");
+
+  const documents = [];
+  for (const id of new Set(documentIds)) {
+    const document = await getDocument(id, { userId: user.id });
+    if (!document) throw new ApiError(404, "not_found", `Document not found: ${id}`);
+    documents.push(document);
+  }
+
+  // Follow-ups like "and in 2023?" lean on the previous question's terms
+  const previous = conversation.messages.findLast(m => m.role === "user")?.content;
+  const query = previous ? `${question} ${previous}` : question;
+  const topK = body.topK || DEFAULT_TOP_K;
+  const sources = documents
+    .flatMap(document => searchDocument(document, query, { limit: topK }).map(hit => ({ document, ...hit })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ document, chunk, score }, i) => ({
+      ref: i + 1,
+      documentId: document.id,
+      name: document.name,
+      chunk: chunk.index,
+      page: chunk.page,
+      score,
+      text: chunk.text,
+    }));
+
+  const excerpts = sources.length
+    ? sources.map(s => `[${s.ref}] (${s.name}, chunk ${s.chunk}${s.page ? `, page ${s.page}` : ""})\n${s.text}`).join("\n\n")
+    : "(no excerpt matched the question)";
+  const system = `${persona.system}\n\n--- Excerpts ---\n${excerpts}`;
+
+  conversation.messages.push({ role: "user", content: question });
+  const { messages, context } = await buildContext("ask", conversation, { system });
+  const { text: answer } = await complete("ask", { messages });
+  conversation.messages.push({ role: "assistant", content: answer });
+  await saveConversation(conversation, { metadata: { documentIds: documents.map(d => d.id) }, namespace: NAMESPACE });
+
+  // [2] or [1, 3]
+  const cited = new Set([...answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)].flatMap(match => match[1].split(",").map(Number)));
+  const withoutText = ({ text, ...source }) => source;
+  res.status(200).json({
+    answer,
+    citations: sources
+      .filter(source => cited.has(source.ref))
+      .map(source => ({ ...withoutText(source), quote: bestSentence(source.text, question) })),
+    sources: sources.map(withoutText),
+    conversationId: conversation.id,
+    preset: persona.preset,
+    context,
+  });
+}, { methods: ["POST"] });
@@ -0,0 +1,72 @@
+import { complete } from "../lib/providers/index.js";
+import { relayCompletion, wantsStream } from "../lib/sse.js";
+import { loadConversation, saveConversation } from "../lib/conversations.js";
+import { buildContext } from "../lib/context.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { validateBody } from "../lib/schema.js";
+import { resolvePrompt } from "../lib/prompts.js";
+
+// Conversations are persisted through lib/conversations.js (see STORE_BACKEND);
+// list/get/delete them via /api/conversations. Long histories are trimmed to
+// the model's context window by lib/context.js. A `preset` (lib/prompts.js)
+// sticks to the conversation until another one is picked.
+
+// Still honoured in place of the default preset
+const SYSTEM_PROMPT = process.env.CHAT_SYSTEM_PROMPT;
+
+const BODY_SCHEMA = {
+  type: "object",
+  required: ["prompt"],
+  properties: {
+    prompt: { type: "string", minLength: 1, maxLength: 50000 },
+    conversationId: { type: "string", maxLength: 100 },
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    metadata: { type: "object" },
+    stream: { type: "boolean" },
+    preset: { type: "string", maxLength: 100 },
+    variables: { type: "object" },
+  },
+};
+
+export default withRequest("chat", async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { prompt, conversationId, metadata, title, preset, variables } = validateBody(req.body, BODY_SCHEMA);
+
+  const conversation = await loadConversation(conversationId, { userId: user.id });
+  const history = conversation.messages;
+  const persona = await resolvePrompt("chat", { preset: preset || conversation.metadata.preset, variables }, { system: SYSTEM_PROMPT });
+  const savedMetadata = preset ? { ...metadata, preset } : metadata;
+
+  history.push({ role: "user", content: prompt });
+
+  const { messages, context } = await buildContext("chat", conversation, { system: persona.system });
+
+  if (wantsStream(req)) {
+    const result = await relayCompletion(res, "chat", {
+      messages,
+      done: { conversationId: conversation.id, context, preset: persona.preset },
+    });
+    // Only remember the exchange if the client actually received the whole reply
+    if (result) {
+      history.push({ role: "assistant", content: result.text });
+      await saveConversation(conversation, { title, metadata: savedMetadata });
+    }
+    return;
+  }
+
+  const { text: assistantText } = await complete("chat", { messages });
+
+  history.push({ role: "assistant", content: assistantText });
+  await saveConversation(conversation, { title, metadata: savedMetadata });
+
+  return res.status(200).json({
+    text: assistantText,
+    conversationId: conversation.id,
+    title: conversation.title,
+    preset: persona.preset,
+    context,
+  });
+});
@@ -1,49 +1,55 @@
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+import { complete } from "../lib/providers/index.js";
+import { relayCompletion, wantsStream } from "../lib/sse.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { badRequest } from "../lib/errors.js";
+import { validateBody } from "../lib/schema.js";
+import { checkImageUrl } from "../lib/uploads.js";
+import { resolvePrompt } from "../lib/prompts.js";
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+const BODY_SCHEMA = {
+  type: "object",
+  properties: {
+    message: { type: "string", maxLength: 50000 },
+    image: { type: "string" },
+    stream: { type: "boolean" },
+    // Prompt preset and template variables (lib/prompts.js)
+    preset: { type: "string", maxLength: 100 },
+    variables: { type: "object" },
+  },
+};
 
-  try {
-    const { message, image } = req.body;
-    let messages = [{ role: "system", content: "You are a helpful AI assistant." }];
+export default withRequest("chat2", async function handler(req, res) {
+  if (!(await requireUser(req, res))) return;
 
-    if (image) {
-      messages.push({
-        role: "user",
-        content: [
-          { type: "text", text: message || "Analyze this image" },
-          { type: "image_url", image_url: { url: image } }
-        ]
-      });
-    } else if (message) {
-      messages.push({ role: "user", content: message });
-    } else {
-      return res.status(400).json({ error: "Message or image is required" });
-    }
+  const { message, image, preset, variables } = validateBody(req.body, BODY_SCHEMA);
+  const persona = await resolvePrompt("chat2", { preset, variables });
+  let messages = [{ role: "system", content: persona.system }];
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages,
-        max_tokens: 1000,
-      }),
+  if (image) {
+    checkImageUrl(image);
+    messages.push({
+      role: "user",
+      content: [
+        { type: "text", text: message || "Analyze this image" },
+        { type: "image_url", image_url: { url: image } }
+      ]
     });
+  } else if (message) {
+    messages.push({ role: "user", content: message });
+  } else {
+    throw badRequest("Message or image is required");
+  }
 
-    const data = await response.json();
-
-    res.status(200).json({
-      reply: data.choices?.[0]?.message?.content || "No reply",
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
+  if (wantsStream(req)) {
+    await relayCompletion(res, "chat2", { messages, done: { preset: persona.preset } });
+    return;
   }
-}
+
+  const { text } = await complete("chat2", { messages });
+
+  res.status(200).json({
+    reply: text || "No reply",
+    preset: persona.preset,
+  });
+});
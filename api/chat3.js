@@ -1,51 +1,36 @@
-const crypto = require('crypto');
-
-module.exports = async (req, res) => {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-
-  // read token from cookie
-  const cookieHeader = req.headers.cookie || '';
-  const tokenPair = cookieHeader.split(';').map(c=>c.trim()).find(c => c.startsWith('token='));
-  if (!tokenPair) return res.status(401).json({ error: 'Not authenticated' });
-
-  const token = tokenPair.split('=')[1];
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
-  const [payloadB64, sig] = token.split('.');
-  if (!payloadB64 || !sig) return res.status(401).json({ error: 'Invalid token' });
-
-  const secret = process.env.SESSION_SECRET || 'dev-secret-change-me';
-  const expected = crypto.createHmac('sha256', secret).update(payloadB64).digest('hex');
-  if (sig !== expected) return res.status(401).json({ error: 'Invalid token signature' });
-
-  // optional: expire sessions older than SESSION_MAX_AGE_SEC (default 3600)
-  let payload;
-  try { payload = JSON.parse(Buffer.from(payloadB64,'base64').toString('utf8')); } catch(e) { return res.status(401).json({ error: 'Invalid token payload' }); }
-  const ageMs = Date.now() - (payload.iat || 0);
-  const maxAgeMs = (process.env.SESSION_MAX_AGE_SEC ? Number(process.env.SESSION_MAX_AGE_SEC) * 1000 : 3600 * 1000);
-  if (ageMs > maxAgeMs) return res.status(401).json({ error: 'Session expired' });
+import { complete } from '../lib/providers/index.js';
+import { relayCompletion, wantsStream } from '../lib/sse.js';
+import { requireUser } from '../lib/auth.js';
+import { withRequest } from '../lib/handler.js';
+import { validateBody } from '../lib/schema.js';
+import { resolvePrompt } from '../lib/prompts.js';
+
+const BODY_SCHEMA = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 50000 },
+    stream: { type: 'boolean' },
+    // Prompt preset and template variables (lib/prompts.js); none by default
+    preset: { type: 'string', maxLength: 100 },
+    variables: { type: 'object' },
+  },
+};
 
-  const { message } = req.body || {};
-  if (!message) return res.status(400).json({ error: 'Missing message' });
+export default withRequest('chat3', async function handler(req, res) {
+  if (!(await requireUser(req, res))) return;
 
-  try {
-    const openaiRes = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: message }],
-        max_tokens: 600
-      })
-    });
+  const { message, preset, variables } = validateBody(req.body, BODY_SCHEMA);
+  const persona = await resolvePrompt('chat3', { preset, variables });
 
-    const data = await openaiRes.json();
-    const reply = data?.choices?.[0]?.message?.content ?? (data?.error?.message ?? 'No reply');
-    res.status(200).json({ reply });
-  } catch (err) {
-    res.status(500).json({ error: String(err) });
+  const messages = [{ role: 'user', content: message }];
+  if (persona.system) messages.unshift({ role: 'system', content: persona.system });
+  if (wantsStream(req)) {
+    await relayCompletion(res, 'chat3', { messages, done: { preset: persona.preset } });
+    return;
   }
-};
+
+  const { text } = await complete('chat3', { messages });
+  const reply = text || 'No reply';
+  res.status(200).json({ reply, preset: persona.preset });
+});
@@ -0,0 +1,59 @@
+import {
+  deleteConversation,
+  getConversation,
+  listConversations,
+  saveConversation,
+} from "../lib/conversations.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { ApiError, badRequest } from "../lib/errors.js";
+import { validateBody } from "../lib/schema.js";
+
+// Same cap as the conversationId the chat routes accept
+const MAX_ID_LENGTH = 100;
+
+const PATCH_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    metadata: { type: "object" },
+  },
+};
+
+/**
+ * GET    /api/conversations            -> { conversations: [...] } (no messages)
+ * GET    /api/conversations?id=...     -> { conversation }
+ * PATCH  /api/conversations?id=...     Body: { title?, metadata? } -> { conversation }
+ * DELETE /api/conversations?id=...     -> { ok: true }
+ */
+export default withRequest("conversations", async function handler(req, res) {
+  const user = await requireUser(req, res, { quota: false });
+  if (!user) return;
+  const owner = { userId: user.id };
+  const id = req.query?.id;
+
+  if (req.method === "GET" && !id) {
+    const limit = Math.min(Number(req.query?.limit) || 50, 200);
+    return res.status(200).json({ conversations: await listConversations({ ...owner, limit }) });
+  }
+
+  if (!id) throw badRequest("Missing conversation id");
+  if (id.length > MAX_ID_LENGTH) throw badRequest(`Conversation id must be at most ${MAX_ID_LENGTH} characters`);
+
+  if (req.method === "DELETE") {
+    const deleted = await deleteConversation(id, owner);
+    if (!deleted) throw new ApiError(404, "not_found", "Conversation not found");
+    return res.status(200).json({ ok: true });
+  }
+
+  const conversation = await getConversation(id, owner);
+  if (!conversation) throw new ApiError(404, "not_found", "Conversation not found");
+
+  if (req.method === "PATCH") {
+    const { title, metadata } = validateBody(req.body, PATCH_SCHEMA);
+    if (title !== undefined && !title.trim()) throw badRequest("Title must not be blank");
+    await saveConversation(conversation, { title, metadata });
+  }
+
+  return res.status(200).json({ conversation });
+}, { methods: ["GET", "PATCH", "DELETE"] });
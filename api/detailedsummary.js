@@ -1,7 +1,16 @@
-import formidable from 'formidable';
 import fs from 'fs';
-import path from 'path';
-import pdf from 'pdf-parse';
+import { complete, isConfigured } from '../lib/providers/index.js';
+import { CHUNK_CHARS, checkSections, mapWithConcurrency, splitIntoSections, summarizeSections } from '../lib/mapreduce.js';
+import { formatDiff, lineDiff } from '../lib/compare.js';
+import { completeStructured, parseFormat } from '../lib/formats.js';
+import { requireUser } from '../lib/auth.js';
+import { describeFile, processFile } from '../lib/extract.js';
+import { checkUpload, discardUploads, parseUploads } from '../lib/uploads.js';
+import { cached, hashBytes, normalizeText } from '../lib/cache.js';
+import { detectLanguage, languageInstruction, languageOptions } from '../lib/language.js';
+import { resolvePrompt } from '../lib/prompts.js';
+import { requestContext, withRequest } from '../lib/handler.js';
+import { ApiError, ProviderError, badRequest } from '../lib/errors.js';
 
 export const config = {
   api: {
@@ -10,265 +19,379 @@ export const config = {
   },
 };
 
-// Enhanced file processor with PDF support
-async function processFile(filePath, fileName) {
-  const fileExtension = path.extname(fileName).toLowerCase();
-  const fileBuffer = fs.readFileSync(filePath);
+// What to do when several files are uploaded together
+const MODES = ['each', 'combined', 'compare'];
+const MAX_FILES = 10;
+const MAX_FILE_BYTES = 15 * 1024 * 1024;
+
+// Process one uploaded file and remove its temp copy. A file that can't be read
+// is reported in its content so the model can explain it; only ApiErrors (a
+// file over an extraction limit) are thrown.
+async function readUpload(uploadedFile) {
+  const filePath = uploadedFile.filepath;
+  const fileName = uploadedFile.originalFilename || 'unknown';
+  const fileSize = (uploadedFile.size / 1024 / 1024).toFixed(2);
   
-  console.log(`Processing file: ${fileName}, extension: ${fileExtension}, size: ${fileBuffer.length} bytes`);
+  console.log(`Processing uploaded file: ${fileName}, size: ${fileSize}MB`);
   
+  let upload;
   try {
-    switch (fileExtension) {
-      case '.pdf':
-        try {
-          console.log('Starting PDF processing...');
-          const pdfData = await pdf(fileBuffer);
-          console.log(`PDF processed successfully. Pages: ${pdfData.numpages}, Text length: ${pdfData.text.length}`);
-          
-          if (!pdfData.text || pdfData.text.trim().length === 0) {
-            throw new Error('No text content found in PDF - it might be image-based or encrypted');
-          }
-          
-          return {
-            content: pdfData.text.trim(),
-            type: 'PDF Document',
-            pages: pdfData.numpages,
-            success: true
-          };
-        } catch (pdfError) {
-          console.error('PDF processing error:', pdfError);
-          
-          // Provide helpful error messages based on the specific error
-          let errorMessage = '';
-          if (pdfError.message.includes('Invalid PDF')) {
-            errorMessage = 'The file appears to be corrupted or not a valid PDF.';
-          } else if (pdfError.message.includes('encrypted')) {
-            errorMessage = 'This PDF is password-protected. Please provide an unprotected version.';
-          } else if (pdfError.message.includes('No text content')) {
-            errorMessage = 'This PDF contains no text (likely scanned images). Please use OCR or provide a text-based PDF.';
-          } else {
-            errorMessage = `PDF processing failed: ${pdfError.message}`;
-          }
-          
-          throw new Error(errorMessage);
-        }
-
-      case '.txt':
-      case '.md':
-      case '.csv':
-      case '.json':
-      case '.html':
-      case '.htm':
-      case '.xml':
-        try {
-          const content = fileBuffer.toString('utf8');
-          console.log(`Successfully read text file, content length: ${content.length}`);
-          return {
-            content: content,
-            type: `${fileExtension.toUpperCase().replace('.', '')} File`,
-            success: true
-          };
-        } catch (textError) {
-          console.error(`Error reading as text: ${textError.message}`);
-          throw new Error(`Could not read ${fileExtension} file as text`);
-        }
-
-      case '.docx':
-      case '.doc':
-        return {
-          content: `[Word Document: ${fileName} - Word processing not yet enabled. Please export to PDF or copy/paste the text content.]`,
-          type: 'Word Document (Not processed)',
-          success: false
-        };
-
-      case '.xlsx':
-      case '.xls':
-        return {
-          content: `[Excel File: ${fileName} - Excel processing not yet enabled. Please export to CSV and try again.]`,
-          type: 'Excel Spreadsheet (Not processed)',
-          success: false
-        };
-
-      default:
-        // Try to read as text for unknown extensions
-        try {
-          const content = fileBuffer.toString('utf8');
-          // Check if it looks like text content
-          if (content.length > 0 && (content.includes('\n') || content.includes(' ') || content.length < 10000)) {
-            return {
-              content: content,
-              type: `Unknown Text File (${fileExtension || 'no extension'})`,
-              success: true
-            };
-          } else {
-            throw new Error('Does not appear to be a text file');
-          }
-        } catch (unknownError) {
-          throw new Error(`Unsupported file type: ${fileExtension || 'no extension'}. Supported types: .pdf, .txt, .md, .csv, .json, .html, .xml`);
-        }
-    }
-  } catch (error) {
-    console.error(`Error processing ${fileExtension} file:`, error);
-    throw error;
+    const processedFile = await processFile(filePath, fileName, uploadedFile.type?.extension);
+    
+    const fileInfo = describeFile(fileName, uploadedFile.size, processedFile);
+
+    console.log(`File processed successfully. Content length: ${processedFile.content.length}`);
+    upload = { name: fileName, fileInfo, content: processedFile.content, processed: processedFile };
+  } catch (fileError) {
+    console.error('File processing error:', fileError);
+    if (fileError instanceof ApiError) throw fileError;
+    upload = {
+      name: fileName,
+      fileInfo: `File: ${fileName} (${fileSize} MB, Processing Error)`,
+      content: `[Error processing file: ${fileName}]\n\n${fileError.message}`,
+      processed: null,
+    };
+  }
+
+  // Clean up uploaded file
+  try {
+    fs.unlinkSync(filePath);
+    console.log('Temporary file cleaned up');
+  } catch (cleanupError) {
+    console.error('File cleanup error:', cleanupError);
   }
+  return upload;
 }
 
-export default async function handler(req, res) {
-  // Add CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+// Final model call for a request, in the requested output format (lib/formats.js).
+// Resolves to { reply, data? }.
+async function answer(messages, format) {
+  if (format.name !== 'text') {
+    const { reply, data } = await completeStructured('detailedsummary', { messages, format });
+    return { reply, data };
+  }
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+  const result = await complete('detailedsummary', { messages });
+  return { reply: result.text || "No analysis generated" };
+}
 
-  console.log('=== New request received ===');
+// Analyze the message and/or one file. Anything too long for one request
+// (OpenAI token limits) is summarized section by section on page boundaries
+// and the results combined. `system` is the preset's prompt (lib/prompts.js)
+// plus any language instruction. Resolves to { reply, data?, sections? }.
+async function analyze({ message, upload, format, system }) {
+  const fileContent = upload?.content;
+  const fileInfo = upload?.fileInfo;
 
-  try {
-    // Check if OpenAI API key exists
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OPENAI_API_KEY environment variable is missing');
-      return res.status(500).json({ 
-        error: "Server configuration error", 
-        details: "API key not configured" 
-      });
-    }
+  // Combine message and file content
+  let finalMessage = '';
+  if (message && fileContent) {
+    finalMessage = `User request: ${message}\n\n--- File Information ---\n${fileInfo}\n\n--- File Content ---\n${fileContent}`;
+  } else if (message) {
+    finalMessage = message;
+  } else {
+    finalMessage = `Please analyze and summarize this uploaded file:\n\n--- File Information ---\n${fileInfo}\n\n--- Content ---\n${fileContent}`;
+  }
 
-    const form = formidable({
-      maxFileSize: 15 * 1024 * 1024, // 15MB limit for PDFs
-      keepExtensions: true,
-      multiples: false,
+  console.log(`Final message length: ${finalMessage.length} characters`);
+
+  if (finalMessage.length > CHUNK_CHARS) {
+    console.log(`Message too long (${finalMessage.length} chars), using map-reduce summarization`);
+    const sections = splitIntoSections(
+      fileContent ? { content: fileContent, pageTexts: upload.processed?.pageTexts } : { content: message }
+    );
+    const result = await summarizeSections('detailedsummary', sections, {
+      system,
+      request: fileContent ? message : null,
+      fileInfo,
+      format,
     });
+    return { reply: result.reply || "No analysis generated", data: result.data, sections: result.sections };
+  }
 
-    console.log('Parsing form data...');
-    const [fields, files] = await form.parse(req);
-    console.log('Form parsed successfully');
-    
-    let message = Array.isArray(fields.message) ? fields.message[0] : fields.message;
-    const uploadedFile = Array.isArray(files.file) ? files.file[0] : files.file;
+  console.log('Sending request to AI provider...');
 
-    console.log('Message:', message ? message.substring(0, 100) + '...' : 'None');
-    console.log('File:', uploadedFile ? uploadedFile.originalFilename : 'None');
+  return answer([
+    { role: "system", content: system },
+    { role: "user", content: finalMessage }
+  ], format);
+}
 
-    let fileContent = '';
-    let fileInfo = '';
-    
-    if (uploadedFile) {
-      const filePath = uploadedFile.filepath;
-      const fileName = uploadedFile.originalFilename || 'unknown';
-      const fileSize = (uploadedFile.size / 1024 / 1024).toFixed(2);
-      
-      console.log(`Processing uploaded file: ${fileName}, size: ${fileSize}MB`);
-      
-      try {
-        const processedFile = await processFile(filePath, fileName);
-        fileContent = processedFile.content;
-        
-        // Build file info string
-        fileInfo = `File: ${fileName} (${fileSize} MB, ${processedFile.type})`;
-        if (processedFile.pages) {
-          fileInfo += ` - ${processedFile.pages} pages`;
-        }
-        
-        console.log(`File processed successfully. Content length: ${fileContent.length}`);
-        
-        // Clean up uploaded file
-        try {
-          fs.unlinkSync(filePath);
-          console.log('Temporary file cleaned up');
-        } catch (cleanupError) {
-          console.error('File cleanup error:', cleanupError);
-        }
-        
-      } catch (fileError) {
-        console.error('File processing error:', fileError);
-        fileContent = `[Error processing file: ${fileName}]\n\n${fileError.message}`;
-        fileInfo = `File: ${fileName} (${fileSize} MB, Processing Error)`;
-        
-        // Still try to clean up the file
-        try {
-          fs.unlinkSync(filePath);
-        } catch (cleanupError) {
-          console.error('Cleanup error:', cleanupError);
-        }
-      }
-    }
+function documentsBlock(uploads) {
+  return uploads
+    .map((upload, i) => `--- Document ${i + 1}: ${upload.fileInfo} ---\n${upload.content}`)
+    .join('\n\n');
+}
 
-    // Combine message and file content
-    let finalMessage = '';
-    if (message && fileContent) {
-      finalMessage = `User request: ${message}\n\n--- File Information ---\n${fileInfo}\n\n--- File Content ---\n${fileContent}`;
-    } else if (message) {
-      finalMessage = message;
-    } else if (fileContent) {
-      finalMessage = `Please analyze and summarize this uploaded file:\n\n--- File Information ---\n${fileInfo}\n\n--- Content ---\n${fileContent}`;
-    } else {
-      console.log('No message or file content provided');
-      return res.status(400).json({ error: "Message or file is required" });
-    }
+// One summary across all files; sections keep track of which file they came from.
+async function analyzeCombined({ message, uploads, format, system }) {
+  const request = message || 'Please analyze and summarize these uploaded files together as one body of material.';
+  const finalMessage = `User request: ${request}\n\n${documentsBlock(uploads)}`;
 
-    // Truncate if too long (OpenAI token limits)
-    const maxLength = 12000; // About 3000-4000 tokens
-    if (finalMessage.length > maxLength) {
-      console.log(`Message too long (${finalMessage.length} chars), truncating to ${maxLength}`);
-      finalMessage = finalMessage.substring(0, maxLength) + "\n\n[Content truncated due to length limitations. This represents the first part of the document.]";
-    }
+  if (finalMessage.length <= CHUNK_CHARS) {
+    return answer([
+      { role: "system", content: system },
+      { role: "user", content: finalMessage }
+    ], format);
+  }
 
-    console.log(`Final message length: ${finalMessage.length} characters`);
+  console.log(`Combined documents too long (${finalMessage.length} chars), using map-reduce summarization`);
+  const sections = uploads
+    .flatMap(upload => splitIntoSections({ content: upload.content, pageTexts: upload.processed?.pageTexts })
+      .map(section => ({ ...section, source: upload.name })))
+    .map((section, i) => ({ ...section, index: i + 1 }));
 
-    const messages = [
-      { 
-        role: "system", 
-        content: "You are a professional document analysis assistant. When analyzing uploaded files, provide comprehensive summaries that include: 1) Document type and basic info, 2) Main topics and key points, 3) Structure and organization, 4) Important details, data, or conclusions, 5) Any notable insights. Be thorough but concise. If the document is too short to summarize, describe its contents instead." 
-      },
-      { role: "user", content: finalMessage }
-    ];
-
-    console.log('Sending request to OpenAI...');
-
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-5-nano",
-        messages,
-        
-      }),
-    });
+  const result = await summarizeSections('detailedsummary', sections, {
+    system,
+    request,
+    fileInfo: uploads.map(u => u.fileInfo).join('\n'),
+    format,
+  });
+  return { reply: result.reply || "No analysis generated", data: result.data, sections: result.sections };
+}
 
-    console.log(`OpenAI response status: ${response.status}`);
+// Compare documents side by side. Documents that don't fit together are
+// summarized individually first; with exactly two, a line diff of the full
+// texts is included so changes between versions aren't lost in the summaries.
+async function compareDocuments({ message, uploads, format, system }) {
+  const request = message || 'Compare these documents and explain how they differ.';
+  let body = documentsBlock(uploads);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('OpenAI API error:', errorData);
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-    }
+  if (body.length > CHUNK_CHARS) {
+    console.log(`Documents too long to compare directly (${body.length} chars), summarizing each first`);
+    const concurrency = Number(process.env.SUMMARY_CONCURRENCY) || 3;
+    // The route's default analysis preset; the requested one is for the comparison itself
+    const { system: analysisSystem } = await resolvePrompt('detailedsummary');
+    const summaries = await mapWithConcurrency(uploads, concurrency, upload => analyze({
+      message: 'Summarize this document in detail for a later comparison with other versions. Keep specific figures, dates, names, obligations and terms.',
+      upload,
+      format: { name: 'text' },
+      system: analysisSystem,
+    }));
+    body = uploads
+      .map((upload, i) => `--- Document ${i + 1} (summary): ${upload.fileInfo} ---\n${summaries[i].reply}`)
+      .join('\n\n');
+  }
 
-    const data = await response.json();
-    console.log('OpenAI response received successfully');
+  let diffBlock = '';
+  if (uploads.length === 2) {
+    const diff = lineDiff(uploads[0].content, uploads[1].content);
+    console.log(`Line diff: ${diff.removed.length} removed, ${diff.added.length} added, ${diff.unchanged} unchanged`);
+    diffBlock = `\n\n--- Line changes from ${uploads[0].name} to ${uploads[1].name} (${diff.unchanged} lines unchanged) ---\n${formatDiff(diff, CHUNK_CHARS) || '[no line changes]'}`;
+  }
 
-    const reply = data.choices?.[0]?.message?.content || "No analysis generated";
-    
-    console.log(`Reply length: ${reply.length} characters`);
-    console.log('=== Request completed successfully ===');
+  return answer([
+    { role: "system", content: system },
+    { role: "user", content: `User request: ${request}\n\n${body}${diffBlock}` }
+  ], format);
+}
 
-    res.status(200).json({
-      reply: reply,
-      fileInfo: fileInfo || null,
-    });
+// The language several documents share, or null when they differ (the
+// reply then follows the target language, or the model's own judgement)
+function sharedLanguage(detected) {
+  const codes = new Set(detected.map(language => language?.code));
+  if (codes.size !== 1 || !detected[0]) return null;
+  return { ...detected[0], confidence: Math.min(...detected.map(language => language.confidence)) };
+}
 
-  } catch (err) {
-    console.error('=== Handler error ===');
-    console.error('Error details:', err);
-    console.error('Stack trace:', err.stack);
-    console.error('=== End error details ===');
-    
-    res.status(500).json({ 
-      error: "Processing failed", 
-      details: err.message 
-    });
+// Sections the uploads (or a long message) split into. Each is about one model
+// call whatever the mode, so the total is checked before the first call.
+function sectionCount(uploads, message) {
+  if (!uploads.length) return splitIntoSections({ content: message }).length;
+  return uploads.reduce((sum, upload) => (
+    sum + splitIntoSections({ content: upload.content, pageTexts: upload.processed?.pageTexts }).length
+  ), 0);
+}
+
+// Read and analyze the checked uploads (and/or the message) and build the
+// response body. `system` is the resolved preset prompt; `target` and
+// `detect` come from languageOptions().
+async function summarizeUploads(uploadedFiles, { message, mode, format, system, target, detect }) {
+  // One at a time: OCR and big PDFs are memory hungry
+  const uploads = [];
+  for (const uploadedFile of uploadedFiles) {
+    uploads.push(await readUpload(uploadedFile));
+  }
+  checkSections(sectionCount(uploads, message));
+
+  // Detected from the documents themselves; the message is only the request
+  const detected = detect
+    ? (uploads.length ? uploads.map(upload => upload.processed && detectLanguage(upload.content)) : [detectLanguage(message)])
+    : [];
+  const detectedLanguage = detect ? sharedLanguage(detected) : undefined;
+  if (detectedLanguage) console.log(`Detected language: ${detectedLanguage.code} (${detectedLanguage.confidence})`);
+  const language = languageInstruction({ target, detected: detectedLanguage });
+  const languageFields = {
+    ...(detect && { detectedLanguage }),
+    ...(target && { targetLanguage: target.code }),
+  };
+
+  if (uploads.length <= 1) {
+    const upload = uploads[0];
+    const result = await analyze({ message, upload, format, system: system + language });
+
+    console.log(`Reply length: ${result.reply.length} characters`);
+
+    return {
+      reply: result.reply,
+      fileInfo: upload?.fileInfo || null,
+      ocr: upload?.processed?.ocr || null,
+      ...(result.data && { format: format.name, data: result.data }),
+      ...(result.sections && { sections: result.sections }),
+      ...languageFields,
+    };
   }
+
+  console.log(`Running "${mode}" over ${uploads.length} files`);
+
+  let result;
+  let perFile = [];
+  if (mode === 'each') {
+    const concurrency = Number(process.env.SUMMARY_CONCURRENCY) || 3;
+    perFile = await mapWithConcurrency(uploads, concurrency, (upload, i) => analyze({
+      message,
+      upload,
+      format,
+      system: system + languageInstruction({ target, detected: detected[i] }),
+    }));
+    result = { reply: perFile.map((r, i) => `## ${uploads[i].name}\n\n${r.reply}`).join('\n\n') };
+  } else if (mode === 'combined') {
+    result = await analyzeCombined({ message, uploads, format, system: system + language });
+  } else {
+    result = await compareDocuments({ message, uploads, format, system: system + language });
+  }
+  const reply = result.reply;
+
+  console.log(`Reply length: ${reply.length} characters`);
+
+  return {
+    reply,
+    mode,
+    format: format.name,
+    ...(result.data && { data: result.data }),
+    ...(result.sections && { sections: result.sections }),
+    ...languageFields,
+    fileInfo: uploads.map(u => u.fileInfo).join('\n'),
+    files: uploads.map((upload, i) => ({
+      name: upload.name,
+      fileInfo: upload.fileInfo,
+      success: Boolean(upload.processed),
+      ocr: upload.processed?.ocr || null,
+      ...(detect && { detectedLanguage: detected[i] || null }),
+      ...(perFile[i] && { reply: perFile[i].reply }),
+      ...(perFile[i]?.data && { data: perFile[i].data }),
+      ...(perFile[i]?.sections && { sections: perFile[i].sections }),
+    })),
+  };
+}
+
+// Totals for the model calls this request made (each one is also in the ledger, lib/ledger.js)
+function callsSummary() {
+  const calls = requestContext()?.calls || [];
+  const tokens = calls.reduce((sum, call) => sum + call.totalTokens, 0);
+  const cost = calls.reduce((sum, call) => sum + call.costUsd, 0);
+  const latency = calls.reduce((sum, call) => sum + call.latencyMs, 0);
+  return `${calls.length} model call(s), ${tokens} tokens, $${cost.toFixed(6)}, ${latency}ms upstream`;
 }
+
+export default withRequest('detailedsummary', async function handler(req, res) {
+  if (!(await requireUser(req, res))) return;
+
+  console.log('=== New request received ===');
+
+  // Check that the configured provider has its API key before reading any uploads
+  if (!isConfigured('detailedsummary')) {
+    throw new ProviderError('API key for the detailedsummary provider is missing', { code: 'not_configured' });
+  }
+
+  console.log('Parsing form data...');
+  // Files may be sent as repeated "file" fields or as "files"
+  const { fields, files: uploadedFiles } = await parseUploads(req, {
+    fileFields: ['file', 'files'],
+    maxFiles: MAX_FILES,
+    maxFileBytes: MAX_FILE_BYTES,
+  });
+  console.log('Form parsed successfully');
+  
+  const {
+    message,
+    format: formatName,
+    bulletCount,
+    // cache=false skips the response cache (lib/cache.js)
+    cache: cacheField,
+    // See lib/language.js; detectLanguage=true turns detection on
+    targetLanguage,
+    detectLanguage: detectField,
+    // Prompt preset and template variables (a JSON object), see lib/prompts.js
+    preset: presetField,
+    variables: variablesField,
+  } = fields;
+  const mode = fields.mode || 'combined';
+
+  console.log('Message:', message ? message.substring(0, 100) + '...' : 'None');
+  console.log('Files:', uploadedFiles.length ? uploadedFiles.map(f => f.originalFilename).join(', ') : 'None');
+
+  if (!MODES.includes(mode)) {
+    discardUploads(uploadedFiles);
+    throw badRequest(`Invalid mode. Use one of: ${MODES.join(', ')}`);
+  }
+  let format;
+  try {
+    format = parseFormat(formatName, { bulletCount });
+  } catch (formatError) {
+    discardUploads(uploadedFiles);
+    throw badRequest(formatError.message);
+  }
+  let language, persona;
+  try {
+    language = languageOptions({ targetLanguage, detectLanguage: detectField });
+    persona = await resolvePrompt('detailedsummary', { preset: presetField, variables: variablesField }, {
+      defaultPreset: mode === 'compare' ? 'document-comparison' : undefined,
+    });
+  } catch (optionError) {
+    discardUploads(uploadedFiles);
+    throw optionError;
+  }
+  if (mode === 'compare' && uploadedFiles.length < 2) {
+    discardUploads(uploadedFiles);
+    throw badRequest("Compare mode needs at least two files");
+  }
+  if (!message && uploadedFiles.length === 0) {
+    console.log('No message or file content provided');
+    throw badRequest("Message or file is required");
+  }
+
+  // Sniff every upload before spending time on any of them
+  for (const uploadedFile of uploadedFiles) {
+    try {
+      const buffer = await fs.promises.readFile(uploadedFile.filepath);
+      uploadedFile.type = checkUpload(buffer, uploadedFile.originalFilename || 'unknown');
+      uploadedFile.hash = hashBytes(buffer);
+    } catch (err) {
+      discardUploads(uploadedFiles);
+      throw err;
+    }
+  }
+
+  const parts = {
+    system: persona.system,
+    text: normalizeText(message),
+    files: uploadedFiles.map(f => [f.originalFilename, f.hash]),
+    mode: uploadedFiles.length > 1 ? mode : null,
+    format: format.name,
+    bulletCount: format.name === 'bullets' ? format.count : null,
+    targetLanguage: language.target?.code || null,
+    detectLanguage: language.detect,
+  };
+  let body;
+  try {
+    body = await cached(req, res, { route: 'detailedsummary', parts, bypass: cacheField === 'false' },
+      () => summarizeUploads(uploadedFiles, { message, mode, format, system: persona.system, ...language }));
+  } finally {
+    // readUpload() removes what it processed; this covers cache hits and failures
+    discardUploads(uploadedFiles);
+  }
+
+  console.log(`=== Request completed successfully: ${callsSummary()} ===`);
+  res.status(200).json({ ...body, preset: persona.preset });
+});
@@ -0,0 +1,103 @@
+import fs from "fs";
+import { createDocument, deleteDocument, describeDocument, getDocument, listDocuments } from "../lib/documents.js";
+import { describeFile, processFile } from "../lib/extract.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { ApiError, badRequest } from "../lib/errors.js";
+import { checkUpload, discardUploads, parseUploads } from "../lib/uploads.js";
+
+// Documents kept for question answering (lib/documents.js). Upload once, then
+// ask about them by id with /api/ask.
+//
+// POST   /api/documents            multipart "file" / "files" -> 201 { documents: [...] }
+// GET    /api/documents            -> { documents: [...] }
+// GET    /api/documents?id=...     -> { document }
+// DELETE /api/documents?id=...     -> { ok: true }
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_FILES = 10;
+const MAX_FILE_BYTES = 15 * 1024 * 1024;
+// Ids are UUIDs; longer ones can't name a document (nor a file in the store)
+const MAX_ID_LENGTH = 100;
+
+// Check and extract every upload before storing any; the temp files are removed either way
+async function readDocuments(uploadedFiles) {
+  try {
+    const extracted = [];
+    for (const uploadedFile of uploadedFiles) {
+      const name = uploadedFile.originalFilename || "unknown";
+      const buffer = await fs.promises.readFile(uploadedFile.filepath);
+      const { extension } = checkUpload(buffer, name);
+
+      let processed;
+      try {
+        processed = await processFile(uploadedFile.filepath, name, extension);
+      } catch (err) {
+        if (err instanceof ApiError) throw err;
+        throw new ApiError(422, "unreadable_document", `${name}: ${err.message}`);
+      }
+      if (!processed.success || !processed.content.trim()) {
+        throw new ApiError(422, "unreadable_document", `${name}: no text could be extracted`);
+      }
+      extracted.push({ name, fileInfo: describeFile(name, uploadedFile.size, processed), processed });
+    }
+    return extracted;
+  } finally {
+    discardUploads(uploadedFiles);
+  }
+}
+
+export default withRequest("documents", async function handler(req, res) {
+  const user = await requireUser(req, res, { quota: false });
+  if (!user) return;
+  const owner = { userId: user.id };
+  const id = req.query?.id;
+
+  if (req.method === "POST") {
+    const { files: uploadedFiles } = await parseUploads(req, {
+      fileFields: ["file", "files"],
+      maxFiles: MAX_FILES,
+      maxFileBytes: MAX_FILE_BYTES,
+    });
+    if (!uploadedFiles.length) throw badRequest("At least one file is required (fields \"file\" or \"files\")");
+
+    const documents = [];
+    for (const { name, fileInfo, processed } of await readDocuments(uploadedFiles)) {
+      const document = await createDocument({
+        ...owner,
+        name,
+        fileInfo,
+        type: processed.type,
+        pages: processed.pages,
+        content: processed.content,
+        pageTexts: processed.pageTexts,
+      });
+      console.log(`Indexed ${name} as ${document.id}: ${document.chunks.length} chunks`);
+      documents.push(describeDocument(document));
+    }
+    return res.status(201).json({ documents });
+  }
+
+  if (req.method === "GET" && !id) {
+    const limit = Math.min(Number(req.query?.limit) || 50, 200);
+    return res.status(200).json({ documents: await listDocuments({ ...owner, limit }) });
+  }
+
+  if (!id) throw badRequest("Missing document id");
+  if (id.length > MAX_ID_LENGTH) throw badRequest(`Document id must be at most ${MAX_ID_LENGTH} characters`);
+
+  if (req.method === "DELETE") {
+    const deleted = await deleteDocument(id, owner);
+    if (!deleted) throw new ApiError(404, "not_found", "Document not found");
+    return res.status(200).json({ ok: true });
+  }
+
+  const document = await getDocument(id, owner);
+  if (!document) throw new ApiError(404, "not_found", "Document not found");
+  return res.status(200).json({ document: describeDocument(document) });
+}, { methods: ["GET", "POST", "DELETE"] });
@@ -0,0 +1,10 @@
+import { withRequest } from "../lib/handler.js";
+import { liveness } from "../lib/health.js";
+
+// Liveness probe: answers as long as the process can serve requests at all.
+// See /api/ready for whether it can do useful work.
+
+export default withRequest("health", async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200).json(liveness());
+}, { methods: ["GET"], rateLimit: false });
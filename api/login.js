@@ -1,27 +1,27 @@
-const crypto = require('crypto');
+import { startSession } from '../lib/auth.js';
+import { verifyCredentials } from '../lib/users.js';
+import { withRequest } from '../lib/handler.js';
+import { ApiError } from '../lib/errors.js';
+import { validateBody } from '../lib/schema.js';
 
-module.exports = async (req, res) => {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-
-  const { password } = req.body || {};
-  if (!password) return res.status(400).json({ error: 'Missing password' });
-
-  // SITE_PASSWORD is set on Vercel (see instructions below)
-  if (password !== process.env.SITE_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid password' });
-  }
+const BODY_SCHEMA = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: { type: 'string', minLength: 1, maxLength: 200 },
+    password: { type: 'string', minLength: 1, maxLength: 1000 },
+  },
+};
 
-  // make a simple signed token (no DB)
-  const payload = JSON.stringify({ iat: Date.now() });
-  const payloadB64 = Buffer.from(payload).toString('base64');
-  const secret = process.env.SESSION_SECRET || 'dev-secret-change-me';
-  const sig = crypto.createHmac('sha256', secret).update(payloadB64).digest('hex');
-  const token = `${payloadB64}.${sig}`;
+// POST { username, password } -> { ok, user, accessToken, refreshToken, expiresAt }
+// Also sets the `token` and `refresh_token` cookies (HttpOnly). Accounts are
+// created with `npm run create-user -- <username>`.
+export default withRequest('login', async function handler(req, res) {
+  const { username, password } = validateBody(req.body, BODY_SCHEMA);
 
-  // set cookie (HttpOnly so JS can't read it). Adjust Max-Age if you want longer sessions.
-  let cookie = `token=${token}; HttpOnly; Path=/; Max-Age=${60 * 60}; SameSite=Lax`;
-  if (process.env.NODE_ENV === 'production') cookie += '; Secure';
+  const user = await verifyCredentials(username, password);
+  if (!user) throw new ApiError(401, 'invalid_credentials', 'Invalid username or password');
 
-  res.setHeader('Set-Cookie', cookie);
-  res.status(200).json({ ok: true });
-};
+  const tokens = await startSession(res, user);
+  res.status(200).json({ ok: true, user: { id: user.id, username: user.username }, ...tokens });
+});
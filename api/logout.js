@@ -0,0 +1,8 @@
+import { endSession } from '../lib/auth.js';
+import { withRequest } from '../lib/handler.js';
+
+// POST -> { ok: true }. Ends the session behind the access or refresh token and clears the cookies.
+export default withRequest('logout', async function handler(req, res) {
+  await endSession(req, res);
+  res.status(200).json({ ok: true });
+});
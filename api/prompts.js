@@ -0,0 +1,79 @@
+import { addPresetVersion, createPreset, deletePreset, getPreset, listPresets } from "../lib/prompts.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { ApiError, badRequest } from "../lib/errors.js";
+import { validateBody } from "../lib/schema.js";
+import { isAdmin } from "../lib/users.js";
+
+const TEMPLATE = { type: "string", minLength: 1, maxLength: 20000 };
+
+const CREATE_SCHEMA = {
+  type: "object",
+  required: ["name", "template"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 64 },
+    description: { type: "string", maxLength: 200 },
+    template: TEMPLATE,
+    prompt: { type: "string", maxLength: 2000 },
+  },
+};
+
+const VERSION_SCHEMA = {
+  type: "object",
+  properties: {
+    description: { type: "string", maxLength: 200 },
+    template: TEMPLATE,
+    prompt: { type: "string", maxLength: 2000 },
+  },
+};
+
+/**
+ * Prompt presets (lib/prompts.js). Anyone signed in can read them; changes
+ * are for users in ADMIN_USERS, since every user's requests share them.
+ *
+ * GET    /api/prompts               -> { presets: [...] } (latest versions)
+ * GET    /api/prompts?name=...      -> { preset } with every version
+ * POST   /api/prompts               Body: { name, template, description?, prompt? } -> 201 { preset }
+ * PUT    /api/prompts?name=...      Body: { template?, description?, prompt? } -> { preset } (a new version)
+ * DELETE /api/prompts?name=...      -> { ok: true } (custom presets only)
+ */
+export default withRequest("prompts", async function handler(req, res) {
+  const user = await requireUser(req, res, { quota: false });
+  if (!user) return;
+  const name = req.query?.name;
+
+  if (req.method === "GET" && !name) {
+    return res.status(200).json({ presets: await listPresets() });
+  }
+
+  if (req.method !== "GET" && !isAdmin(user)) {
+    throw new ApiError(403, "forbidden", "Only admins can change prompt presets");
+  }
+
+  if (req.method === "POST") {
+    const body = validateBody(req.body, CREATE_SCHEMA);
+    const preset = await createPreset(body, { createdBy: user.username });
+    return res.status(201).json({ preset });
+  }
+
+  if (!name) throw badRequest("Missing preset name");
+
+  if (req.method === "DELETE") {
+    if (!(await deletePreset(name))) throw new ApiError(404, "not_found", "Preset not found");
+    return res.status(200).json({ ok: true });
+  }
+
+  if (req.method === "PUT") {
+    const body = validateBody(req.body, VERSION_SCHEMA);
+    if (body.template === undefined && body.description === undefined && body.prompt === undefined) {
+      throw badRequest("Nothing to change: send template, description or prompt");
+    }
+    const preset = await addPresetVersion(name, body, { createdBy: user.username });
+    if (!preset) throw new ApiError(404, "not_found", "Preset not found");
+    return res.status(200).json({ preset });
+  }
+
+  const preset = await getPreset(name);
+  if (!preset) throw new ApiError(404, "not_found", "Preset not found");
+  return res.status(200).json({ preset });
+}, { methods: ["GET", "POST", "PUT", "DELETE"] });
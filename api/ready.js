@@ -0,0 +1,11 @@
+import { withRequest } from "../lib/handler.js";
+import { readiness } from "../lib/health.js";
+
+// Readiness probe: 200 when the stores and every configured provider are
+// usable, 503 (with the failing checks) otherwise or while shutting down.
+
+export default withRequest("ready", async function handler(req, res) {
+  const { ready, checks } = await readiness();
+  res.setHeader("Cache-Control", "no-store");
+  res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+}, { methods: ["GET"], rateLimit: false });
@@ -0,0 +1,20 @@
+import { refreshSession } from '../lib/auth.js';
+import { withRequest } from '../lib/handler.js';
+import { ApiError } from '../lib/errors.js';
+import { validateBody } from '../lib/schema.js';
+
+const BODY_SCHEMA = {
+  type: 'object',
+  properties: { refreshToken: { type: 'string', maxLength: 4096 } },
+};
+
+// POST (refresh_token cookie, or { refreshToken } in the body)
+//   -> { ok, user, accessToken, refreshToken, expiresAt }
+export default withRequest('refresh', async function handler(req, res) {
+  // The body is optional when the refresh_token cookie is sent
+  validateBody(req.body || {}, BODY_SCHEMA);
+  const refreshed = await refreshSession(req, res);
+  if (!refreshed) throw new ApiError(401, 'session_expired', 'Session expired');
+
+  res.status(200).json({ ok: true, ...refreshed });
+});
@@ -0,0 +1,84 @@
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { GROUP_FIELDS, aggregateCalls, readCalls, toCsv } from "../lib/ledger.js";
+import { isAdmin } from "../lib/users.js";
+import { ApiError, badRequest } from "../lib/errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 366;
+const CALL_COLUMNS = [
+  "ts", "day", "requestId", "endpoint", "route", "provider", "model", "userId", "status", "httpStatus",
+  "latencyMs", "promptTokens", "completionTokens", "totalTokens", "costUsd",
+];
+
+const NO_CALLS = { calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, avgLatencyMs: 0 };
+
+function isDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * GET /api/reports -> upstream model calls from the ledger (lib/ledger.js)
+ *
+ *   ?from=YYYY-MM-DD&to=YYYY-MM-DD   UTC days, inclusive (default: the last 7 days)
+ *   ?groupBy=day,route,model         any of day, endpoint, route, provider, model,
+ *                                    userId, status; "none" lists individual calls
+ *   ?user=<id>                       one user's calls (admins only)
+ *   ?format=csv                      download the rows as CSV instead of JSON
+ *
+ * { from, to, groupBy, totals, rows: [{ ...groupBy fields, calls, errors,
+ *   promptTokens, completionTokens, totalTokens, costUsd, avgLatencyMs }] }
+ *
+ * Users see their own calls; users in ADMIN_USERS see everyone's.
+ */
+export default withRequest("reports", async function handler(req, res) {
+  const user = await requireUser(req, res, { quota: false });
+  if (!user) return;
+
+  const query = req.query || {};
+  const today = new Date().toISOString().slice(0, 10);
+  const to = query.to || today;
+  // Checked before the default `from` is counted back from it
+  if (!isDay(to)) throw badRequest("from and to must be YYYY-MM-DD days, from <= to");
+  const from = query.from || new Date(Date.parse(to) - 6 * DAY_MS).toISOString().slice(0, 10);
+  if (!isDay(from) || from > to) {
+    throw badRequest("from and to must be YYYY-MM-DD days, from <= to");
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_DAYS) {
+    throw badRequest(`Reports cover at most ${MAX_DAYS} days`);
+  }
+
+  const raw = query.groupBy === "none";
+  const groupBy = raw ? [] : String(query.groupBy || "day,route,model").split(",").map(f => f.trim()).filter(Boolean);
+  const unknown = groupBy.filter(field => !GROUP_FIELDS.includes(field));
+  if (unknown.length) {
+    throw badRequest(`Unknown groupBy field(s): ${unknown.join(", ")}. Use ${GROUP_FIELDS.join(", ")} or none`);
+  }
+
+  let userId = user.id;
+  if (isAdmin(user)) {
+    userId = query.user || null;
+  } else if (query.user && query.user !== user.id) {
+    throw new ApiError(403, "forbidden", "Only admins can see other users' usage");
+  }
+
+  const calls = await readCalls({ from, to, userId });
+  const rows = raw ? calls : aggregateCalls(calls, groupBy);
+  const [totals] = aggregateCalls(calls, []);
+
+  if (query.format === "csv") {
+    const columns = raw ? CALL_COLUMNS : [...groupBy, "calls", "errors", "promptTokens", "completionTokens", "totalTokens", "costUsd", "avgLatencyMs"];
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="usage-${from}-to-${to}.csv"`);
+    return res.status(200).send(toCsv(rows, columns));
+  }
+
+  res.status(200).json({
+    from,
+    to,
+    groupBy: raw ? "none" : groupBy,
+    userId,
+    totals: totals || NO_CALLS,
+    rows,
+  });
+}, { methods: ["GET"] });
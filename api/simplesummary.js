@@ -1,49 +1,92 @@
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+import { complete } from "../lib/providers/index.js";
+import { FORMAT_NAMES, completeStructured, parseFormat } from "../lib/formats.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { badRequest } from "../lib/errors.js";
+import { validateBody } from "../lib/schema.js";
+import { checkImageUrl } from "../lib/uploads.js";
+import { cached, hashBytes, normalizeText } from "../lib/cache.js";
+import { detectLanguage, languageInstruction, languageOptions } from "../lib/language.js";
+import { resolvePrompt } from "../lib/prompts.js";
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+const BODY_SCHEMA = {
+  type: "object",
+  properties: {
+    message: { type: "string", maxLength: 200000 },
+    image: { type: "string" },
+    format: { type: "string", enum: FORMAT_NAMES },
+    // Form-style clients send numbers as strings; parseFormat() checks the value
+    bulletCount: { type: ["integer", "string"] },
+    stream: { type: "boolean" },
+    // See lib/language.js
+    targetLanguage: { type: "string", maxLength: 50 },
+    detectLanguage: { type: "boolean" },
+    // Prompt preset and template variables (lib/prompts.js)
+    preset: { type: "string", maxLength: 100 },
+    variables: { type: "object" },
+    // false skips the response cache (lib/cache.js)
+    cache: { type: "boolean" },
+  },
+};
 
+export default withRequest("simplesummary", async function handler(req, res) {
+  if (!(await requireUser(req, res))) return;
+
+  const body = validateBody(req.body, BODY_SCHEMA);
+  const { message, image, format: formatName, bulletCount, cache } = body;
+
+  let format;
   try {
-    const { message, image } = req.body;
-    let messages = [{ role: "system", content: "You are an ai summarizer, summarize the text we send you and nothing else, if the text is too short to summarize, say it, summarize it simply but good, keep it short and clean and not too long." }];
-
-    if (image) {
-      messages.push({
-        role: "user",
-        content: [
-          { type: "text", text: message || "Analyze this image" },
-          { type: "image_url", image_url: { url: image } }
-        ]
-      });
-    } else if (message) {
-      messages.push({ role: "user", content: message });
-    } else {
-      return res.status(400).json({ error: "Message or image is required" });
-    }
+    format = parseFormat(formatName, { bulletCount });
+  } catch (err) {
+    throw badRequest(err.message);
+  }
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-5-nano",
-        messages,
-        
-      }),
-    });
+  const { target, detect } = languageOptions(body);
+  const detected = detect ? detectLanguage(message) : null;
+  const persona = await resolvePrompt("simplesummary", body);
+  const system = persona.system + languageInstruction({ target, detected });
 
-    const data = await response.json();
+  let messages = [{ role: "system", content: system }];
 
-    res.status(200).json({
-      reply: data.choices?.[0]?.message?.content || "No reply",
+  if (image) {
+    checkImageUrl(image);
+    messages.push({
+      role: "user",
+      content: [
+        { type: "text", text: message || "Analyze this image" },
+        { type: "image_url", image_url: { url: image } }
+      ]
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
+  } else if (message) {
+    messages.push({ role: "user", content: message });
+  } else {
+    throw badRequest("Message or image is required");
   }
-}
+
+  const parts = {
+    system,
+    text: normalizeText(message),
+    image: image ? hashBytes(image) : null,
+    format: format.name,
+    bulletCount: format.name === "bullets" ? format.count : null,
+  };
+
+  const result = await cached(req, res, { route: "simplesummary", parts, bypass: cache === false }, async () => {
+    // Structured formats come back as `data` for the extension's cards, plus a text rendering
+    if (format.name !== "text") {
+      const { reply, data } = await completeStructured("simplesummary", { messages, format });
+      return { reply, format: format.name, data };
+    }
+
+    const { text } = await complete("simplesummary", { messages });
+    return { reply: text || "No reply" };
+  });
+
+  res.status(200).json({
+    ...result,
+    preset: persona.preset,
+    ...(detect && { detectedLanguage: detected }),
+    ...(target && { targetLanguage: target.code }),
+  });
+});
@@ -1,50 +1,59 @@
 // /api/summarize.js (Vercel serverless function)
 // Deploy this file to Vercel in your project under /api/summarize.js
-// Configure HF_SPACE_URL below to your Hugging Face Space endpoint if different.
+// Uses the "summarize" route of lib/config.js, which defaults to the Hugging Face
+// Space (override its URL with HF_SPACE_URL, or the backend with AI_PROVIDER_SUMMARIZE).
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") {
-    res.status(405).json({ error: "Method not allowed" });
-    return;
-  }
+import { complete } from "../lib/providers/index.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { validateBody } from "../lib/schema.js";
+import { cached, normalizeText } from "../lib/cache.js";
+import { detectLanguage, ensureLanguage, languageOptions, replyLanguage } from "../lib/language.js";
+import { resolvePrompt } from "../lib/prompts.js";
 
-  // If your Hugging Face Space is named Saroshasdsd/my-summarizer, the public URL usually follows:
-  // https://Saroshasdsd-my-summarizer.hf.space
-  // and your app.py exposes /summarize, so final URL:
-  const HF_SPACE_URL = process.env.HF_SPACE_URL || "https://Saroshasdsd-my-summarizer.hf.space/summarize";
+const BODY_SCHEMA = {
+  type: "object",
+  required: ["text"],
+  properties: {
+    text: { type: "string", minLength: 1, maxLength: 200000 },
+    // false skips the response cache (lib/cache.js)
+    cache: { type: "boolean" },
+    // See lib/language.js
+    targetLanguage: { type: "string", maxLength: 50 },
+    detectLanguage: { type: "boolean" },
+    // Prompt preset and template variables (lib/prompts.js); only for chat
+    // providers, the Hugging Face Space takes nothing but the text
+    preset: { type: "string", maxLength: 100 },
+    variables: { type: "object" },
+  },
+};
 
-  try {
-    // Expecting { text: "..." } in the body
-    const body = req.body && Object.keys(req.body).length ? req.body : await new Promise(r => {
-      let data = "";
-      req.on("data", chunk => data += chunk);
-      req.on("end", () => r(JSON.parse(data || "{}")));
-    });
+export default withRequest("summarize", async function handler(req, res) {
+  if (!(await requireUser(req, res))) return;
 
-    const hfResponse = await fetch(HF_SPACE_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text: body.text }),
-      // you can add timeout or other options here
-    });
+  // Expecting { text: "..." } in the body (parsed by Vercel, or lib/router.js on the standalone server)
+  const body = validateBody(req.body, BODY_SCHEMA);
 
-    const text = await hfResponse.text();
-    // If HF returned non-JSON (e.g., errors), return details
-    if (!hfResponse.ok) {
-      let details = text;
-      try { details = JSON.parse(text); } catch (e) {}
-      res.status(502).json({ error: "HuggingFace space request failed", details });
-      return;
-    }
+  const persona = await resolvePrompt("summarize", body);
+  const { target, detect } = languageOptions(body);
+  const detected = detect ? detectLanguage(body.text) : null;
+  // The summarizer can't be told what language to write in, so its output is
+  // translated afterwards when it isn't already in the one asked for (or the
+  // source's, when only detection is on)
+  const wanted = replyLanguage({ target, detected });
 
-    // parse JSON success response
-    let data;
-    try { data = JSON.parse(text); } catch (err) { data = { summary: text }; }
+  const parts = { system: persona.system, text: normalizeText(body.text), language: wanted ? wanted.code : null };
+  const response = await cached(req, res, { route: "summarize", parts, bypass: body.cache === false }, async () => {
+    const messages = [{ role: "user", content: body.text }];
+    if (persona.system) messages.unshift({ role: "system", content: persona.system });
+    const result = await complete("summarize", { messages });
+    return { summary: await ensureLanguage(result.text, wanted) };
+  });
 
-    // Relay the HF space response to client
-    res.status(200).json(data);
-  } catch (error) {
-    console.error("summarize.js error:", error);
-    res.status(500).json({ error: "Summarizer backend failed", details: String(error) });
-  }
-}
+  res.status(200).json({
+    ...response,
+    preset: persona.preset,
+    ...(detect && { detectedLanguage: detected }),
+    ...(target && { targetLanguage: target.code }),
+  });
+});
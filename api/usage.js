@@ -0,0 +1,30 @@
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { getDailyUsage, limits, peekRateLimit } from "../lib/limits.js";
+
+/**
+ * GET /api/usage -> today's usage for the signed-in user against their quotas
+ * { day, usage: { requests, promptTokens, completionTokens, totalTokens, costUsd },
+ *   quota: { dailyTokens, dailyCostUsd, remainingTokens, remainingCostUsd },
+ *   rateLimit: { limit, remaining, windowSec } }
+ */
+export default withRequest("usage", async function handler(req, res) {
+  // Checking usage counts against the rate limit like any other request
+  const user = await requireUser(req, res, { quota: false });
+  if (!user) return;
+
+  const { dailyTokens, dailyCostUsd, perUser, windowSec } = limits();
+  const usage = await getDailyUsage(user.id);
+
+  res.status(200).json({
+    day: new Date().toISOString().slice(0, 10),
+    usage: { ...usage, costUsd: Number(usage.costUsd.toFixed(6)) },
+    quota: {
+      dailyTokens: dailyTokens || null,
+      dailyCostUsd: dailyCostUsd || null,
+      remainingTokens: dailyTokens ? Math.max(0, dailyTokens - usage.totalTokens) : null,
+      remainingCostUsd: dailyCostUsd ? Number(Math.max(0, dailyCostUsd - usage.costUsd).toFixed(6)) : null,
+    },
+    rateLimit: await peekRateLimit(`user:${user.id}`, perUser, windowSec),
+  });
+}, { methods: ["GET"] });
@@ -0,0 +1,163 @@
+import fs from "fs";
+import { complete, isConfigured } from "../lib/providers/index.js";
+import { relayCompletion, wantsStream } from "../lib/sse.js";
+import { loadConversation, saveConversation } from "../lib/conversations.js";
+import { buildContext } from "../lib/context.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { ApiError, ProviderError, badRequest } from "../lib/errors.js";
+import { checkUpload, discardUploads, parseUploads } from "../lib/uploads.js";
+import { prepareImage } from "../lib/images.js";
+import { listPresets, resolvePrompt } from "../lib/prompts.js";
+import { validateBody } from "../lib/schema.js";
+
+// Image analysis. POST multipart/form-data with one or more images ("image" or
+// "images" fields) and an optional prompt and preset; images are downscaled
+// and re-encoded by lib/images.js before they're sent. Pass the returned
+// conversationId to ask follow-up questions about the same images, with or
+// without new ones. Presets are prompt presets (lib/prompts.js); GET lists the
+// ones meant for images (those with a default prompt).
+//
+// Vision conversations are chat conversations: they share chat's store, so
+// /api/conversations lists and manages them and /api/chat can carry one on
+// (its messages take the same image_url parts). Only /api/ask keeps its own.
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_IMAGES = 4;
+const MAX_IMAGE_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+// When neither the request nor its preset has a prompt
+const DEFAULT_PROMPT = "Describe this image in detail.";
+
+// The text fields, checked as api/chat.js checks its JSON body
+const FIELDS_SCHEMA = {
+  type: "object",
+  properties: {
+    prompt: { type: "string", maxLength: 10000 },
+    preset: { type: "string", maxLength: 100 },
+    conversationId: { type: "string", maxLength: 100 },
+    title: { type: "string", maxLength: 200 },
+  },
+};
+
+// Check, downscale and encode every upload; the temp files are removed either way
+async function readImages(uploadedFiles) {
+  try {
+    const images = [];
+    for (const uploadedFile of uploadedFiles) {
+      const name = uploadedFile.originalFilename || "image";
+      const buffer = await fs.promises.readFile(uploadedFile.filepath);
+      const { mime } = checkUpload(buffer, name);
+      if (!mime.startsWith("image/")) {
+        throw new ApiError(415, "unsupported_file_type", `${name}: expected an image, got ${mime}`);
+      }
+      images.push({ name, ...(await prepareImage(buffer, mime)) });
+    }
+    return images;
+  } finally {
+    discardUploads(uploadedFiles);
+  }
+}
+
+async function imagePresets() {
+  return (await listPresets())
+    .filter(preset => preset.prompt)
+    .map(({ name, description, prompt, version }) => ({ id: name, label: description, prompt, version }));
+}
+
+export default withRequest("vision", async function handler(req, res) {
+  if (req.method === "GET") {
+    return res.status(200).json({ presets: await imagePresets() });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  if (!isConfigured("vision")) {
+    throw new ProviderError("API key for the vision provider is missing", { code: "not_configured" });
+  }
+
+  const { fields, files: uploadedFiles } = await parseUploads(req, {
+    fileFields: ["image", "images"],
+    maxFiles: MAX_IMAGES,
+    maxFileBytes: MAX_IMAGE_UPLOAD_BYTES,
+  });
+
+  let values;
+  try {
+    const { prompt, preset, conversationId, title } = fields;
+    values = validateBody({ prompt, preset, conversationId, title }, FIELDS_SCHEMA);
+  } catch (err) {
+    discardUploads(uploadedFiles);
+    throw err;
+  }
+  const { preset: presetId, conversationId, title } = values;
+  const prompt = values.prompt?.trim();
+
+  const conversation = await loadConversation(conversationId, { userId: user.id });
+  const history = conversation.messages;
+  const hasImages = history.some(m => Array.isArray(m.content) && m.content.some(part => part.type === "image_url"));
+
+  if (!uploadedFiles.length && !hasImages) {
+    throw badRequest("At least one image is required (fields \"image\" or \"images\")");
+  }
+  if (!uploadedFiles.length && !prompt) {
+    throw badRequest("A prompt is required for follow-up questions");
+  }
+
+  // A preset sticks to the conversation until another one is picked
+  let persona;
+  try {
+    persona = await resolvePrompt("vision", {
+      preset: presetId || conversation.metadata.visionPreset,
+      variables: fields.variables,
+    });
+  } catch (err) {
+    discardUploads(uploadedFiles);
+    throw err;
+  }
+
+  const images = await readImages(uploadedFiles);
+  const text = prompt || persona.prompt || DEFAULT_PROMPT;
+  history.push({
+    role: "user",
+    content: images.length
+      ? [{ type: "text", text }, ...images.map(image => ({ type: "image_url", image_url: { url: image.dataUrl } }))]
+      : text,
+  });
+
+  const { messages, context } = await buildContext("vision", conversation, { system: persona.system });
+  const metadata = presetId ? { visionPreset: presetId } : undefined;
+  const imageInfo = images.map(({ name, mime, width, height, bytes, resized }) => ({ name, mime, width, height, bytes, resized }));
+
+  if (wantsStream(req) || fields.stream === "true") {
+    const result = await relayCompletion(res, "vision", {
+      messages,
+      done: { conversationId: conversation.id, images: imageInfo, context, preset: persona.preset },
+    });
+    if (result) {
+      history.push({ role: "assistant", content: result.text });
+      await saveConversation(conversation, { title, metadata });
+    }
+    return;
+  }
+
+  const { text: reply } = await complete("vision", { messages });
+
+  history.push({ role: "assistant", content: reply });
+  await saveConversation(conversation, { title, metadata });
+
+  res.status(200).json({
+    text: reply,
+    conversationId: conversation.id,
+    title: conversation.title,
+    preset: persona.preset,
+    images: imageInfo,
+    context,
+  });
+}, { methods: ["GET", "POST"] });
@@ -0,0 +1,161 @@
+import { complete } from "../lib/providers/index.js";
+import { FORMAT_NAMES, completeStructured, parseFormat } from "../lib/formats.js";
+import { CHUNK_CHARS, checkSections, mapWithConcurrency, splitIntoSections, summarizeSections } from "../lib/mapreduce.js";
+import { extractArticle, formatArticle } from "../lib/html.js";
+import { fetchPage, parsePageUrl } from "../lib/webpage.js";
+import { requireUser } from "../lib/auth.js";
+import { withRequest } from "../lib/handler.js";
+import { ApiError, badRequest } from "../lib/errors.js";
+import { validateBody } from "../lib/schema.js";
+import { cached, normalizeText } from "../lib/cache.js";
+import { detectLanguage, ensureLanguage, languageInstruction, languageOptions, replyLanguage } from "../lib/language.js";
+import { resolvePrompt } from "../lib/prompts.js";
+
+// Summaries of web pages. The extension posts either a `url` for the server to
+// fetch (lib/webpage.js) or the `html` of the tab it's showing (pages behind
+// a login, or already rendered by scripts). Either way only the main content
+// goes to the model: navigation, ads and other page furniture are stripped,
+// headings and tables kept (lib/html.js).
+//
+// POST /api/webpage  Body: { url | html, summarizer?, message?, format?, ... }
+//   -> { reply, page, summarizer, preset, sections?, data? }
+//
+// `summarizer` picks the path the page goes through: "simple" (default,
+// simplesummary), "detailed" (detailedsummary) or "hf" (the summarize route's
+// Hugging Face Space). Pages longer than CHUNK_CHARS are summarized section by
+// section. `extractOnly: true` returns the extracted content without a summary.
+
+const SUMMARIZERS = { simple: "simplesummary", detailed: "detailedsummary", hf: "summarize" };
+
+const BODY_SCHEMA = {
+  type: "object",
+  properties: {
+    url: { type: "string", minLength: 1, maxLength: 2048 },
+    // Same ceiling as a fetched page (the WEBPAGE_MAX_BYTES default)
+    html: { type: "string", minLength: 1, maxLength: 5 * 1024 * 1024 },
+    summarizer: { type: "string", enum: Object.keys(SUMMARIZERS) },
+    // What to focus on, e.g. "just the pricing"
+    message: { type: "string", maxLength: 10000 },
+    format: { type: "string", enum: FORMAT_NAMES },
+    // Form-style clients send numbers as strings; parseFormat() checks the value
+    bulletCount: { type: ["integer", "string"] },
+    // See lib/language.js
+    targetLanguage: { type: "string", maxLength: 50 },
+    detectLanguage: { type: "boolean" },
+    // Prompt preset and template variables (lib/prompts.js); not for "hf"
+    preset: { type: "string", maxLength: 100 },
+    variables: { type: "object" },
+    extractOnly: { type: "boolean" },
+    // false skips the response cache (lib/cache.js)
+    cache: { type: "boolean" },
+  },
+};
+
+// What the response says about the page
+function describePage(article) {
+  const { title, author, date, siteName, description, lang, url, words, headings, tables } = article;
+  return { title, author, date, siteName, description, lang, url, words, headings, tables };
+}
+
+// The Space takes nothing but text and has its own input limit, so long pages
+// are summarized in sections and the section summaries once more when they fit
+async function summarizeWithSpace(text, system) {
+  const run = async content => {
+    const messages = [{ role: "user", content }];
+    if (system) messages.unshift({ role: "system", content: system });
+    return (await complete("summarize", { messages })).text.trim();
+  };
+  if (text.length <= CHUNK_CHARS) return run(text);
+
+  const concurrency = Number(process.env.SUMMARY_CONCURRENCY) || 3;
+  const sections = splitIntoSections({ content: text });
+  checkSections(sections.length);
+  const summaries = await mapWithConcurrency(sections, concurrency, section => run(section.text));
+  const joined = summaries.join("\n\n");
+  return joined.length <= CHUNK_CHARS ? run(joined) : joined;
+}
+
+export default withRequest("webpage", async function handler(req, res) {
+  if (!(await requireUser(req, res))) return;
+
+  const body = validateBody(req.body, BODY_SCHEMA);
+  if (!body.url && !body.html) throw badRequest("url or html is required");
+  const summarizer = body.summarizer || "simple";
+  const route = SUMMARIZERS[summarizer];
+
+  let format;
+  try {
+    format = parseFormat(body.format, { bulletCount: body.bulletCount });
+  } catch (err) {
+    throw badRequest(err.message);
+  }
+  if (summarizer === "hf" && format.name !== "text") {
+    throw badRequest("The hf summarizer only returns text; use summarizer \"simple\" or \"detailed\" for other formats");
+  }
+  const persona = await resolvePrompt(route, body);
+
+  // With posted html, url (optional) only says where it came from
+  const page = body.html
+    ? { url: body.url ? parsePageUrl(body.url).href : null, html: body.html }
+    : await fetchPage(body.url);
+  const article = extractArticle(page.html, { url: page.url });
+  if (!article.content) {
+    throw new ApiError(422, "no_content", "No readable content was found on the page");
+  }
+
+  if (body.extractOnly) {
+    return res.status(200).json({ page: describePage(article), content: article.content });
+  }
+
+  const { target, detect } = languageOptions(body);
+  const detected = detect ? detectLanguage(article.content) : null;
+  const text = formatArticle(article);
+  const request = body.message?.trim();
+
+  const parts = {
+    system: persona.system,
+    text: normalizeText(text),
+    request: request || null,
+    summarizer,
+    format: format.name,
+    bulletCount: format.name === "bullets" ? format.count : null,
+    targetLanguage: target ? target.code : null,
+    detectLanguage: Boolean(detect),
+  };
+
+  const result = await cached(req, res, { route, parts, bypass: body.cache === false }, async () => {
+    if (summarizer === "hf") {
+      // The Space can't be told what language to write in (see api/summarize.js)
+      const reply = await summarizeWithSpace(article.content, persona.system);
+      return { reply: await ensureLanguage(reply, replyLanguage({ target, detected })) };
+    }
+
+    const system = persona.system + languageInstruction({ target, detected });
+    if (text.length > CHUNK_CHARS) {
+      const pageInfo = `Web page: ${article.title || "untitled"}${article.url ? ` (${article.url})` : ""}`;
+      const sections = splitIntoSections({ content: text });
+      const { reply, data, sections: summaries } = await summarizeSections(route, sections, { system, request, fileInfo: pageInfo, format });
+      return { reply, ...(data && { format: format.name, data }), sections: summaries };
+    }
+
+    const messages = [
+      { role: "system", content: system },
+      { role: "user", content: request ? `User request: ${request}\n\n--- Web Page ---\n${text}` : text },
+    ];
+    if (format.name !== "text") {
+      const { reply, data } = await completeStructured(route, { messages, format });
+      return { reply, format: format.name, data };
+    }
+    const { text: reply } = await complete(route, { messages });
+    return { reply: reply || "No reply" };
+  });
+
+  res.status(200).json({
+    ...result,
+    page: describePage(article),
+    summarizer,
+    preset: persona.preset,
+    ...(detect && { detectedLanguage: detected }),
+    ...(target && { targetLanguage: target.code }),
+  });
+}, { methods: ["POST"] });
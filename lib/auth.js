@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { getStore } from './store.js';
+import { getUser } from './users.js';
+import { requestContext, sendError } from './handler.js';
+import { ApiError } from './errors.js';
+import { checkUserLimits } from './limits.js';
+
+// Sessions and signed tokens.
+//
+// Logging in creates a session (in the "sessions" store) and issues two tokens:
+// a short-lived access token (cookie `token` or `Authorization: Bearer`) and a
+// refresh token (cookie `refresh_token`) that can mint new access tokens until
+// the session ends. Both are `<base64url payload>.<hmac>` signed with
+// SESSION_SECRET and name the session, so logout revokes them immediately.
+
+const DEV_SECRET = 'dev-secret-change-me';
+
+function env() {
+  return {
+    secret: process.env.SESSION_SECRET,
+    production: process.env.NODE_ENV === 'production',
+    accessMaxAgeSec: Number(process.env.SESSION_MAX_AGE_SEC) || 60 * 60,
+    refreshMaxAgeSec: Number(process.env.REFRESH_MAX_AGE_SEC) || 30 * 24 * 60 * 60,
+    // "None" lets cross-site pages in CORS_ORIGINS (lib/cors.js) send the cookies
+    cookieSameSite: process.env.COOKIE_SAME_SITE || 'Lax',
+  };
+}
+
+/**
+ * Throws in production unless SESSION_SECRET is set to something real.
+ * Called when this module loads, so a misconfigured deploy fails loudly.
+ */
+export function assertSessionSecret() {
+  const { secret, production } = env();
+  if (production && (!secret || secret === DEV_SECRET || secret.length < 32)) {
+    throw new Error('SESSION_SECRET must be set to a random string of at least 32 characters in production');
+  }
+}
+
+assertSessionSecret();
+
+function secret() {
+  assertSessionSecret();
+  return env().secret || DEV_SECRET;
+}
+
+function sign(payload) {
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', secret()).update(payloadB64).digest('base64url');
+  return `${payloadB64}.${sig}`;
+}
+
+/**
+ * Verify a token's signature and expiry. Returns its payload or null.
+ */
+export function verifyToken(token, type = 'access') {
+  const [payloadB64, sig] = String(token || '').split('.');
+  if (!payloadB64 || !sig) return null;
+
+  const expected = crypto.createHmac('sha256', secret()).update(payloadB64).digest();
+  const actual = Buffer.from(sig, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (payload.typ !== type || !payload.exp || payload.exp <= Date.now()) return null;
+  return payload;
+}
+
+function sessions() {
+  return getStore('sessions');
+}
+
+function cookie(name, value, maxAgeSec, path = '/') {
+  const { cookieSameSite, production } = env();
+  let out = `${name}=${value}; HttpOnly; Path=${path}; Max-Age=${maxAgeSec}; SameSite=${cookieSameSite}`;
+  // Browsers drop SameSite=None cookies that aren't Secure
+  if (production || cookieSameSite.toLowerCase() === 'none') out += '; Secure';
+  return out;
+}
+
+function issueTokens(res, session) {
+  const { accessMaxAgeSec } = env();
+  const now = Date.now();
+  const accessExp = Math.min(now + accessMaxAgeSec * 1000, session.expiresAt);
+  const accessToken = sign({ typ: 'access', sub: session.userId, sid: session.id, iat: now, exp: accessExp });
+  const refreshToken = sign({ typ: 'refresh', sub: session.userId, sid: session.id, iat: now, exp: session.expiresAt });
+
+  res.setHeader('Set-Cookie', [
+    cookie('token', accessToken, Math.floor((accessExp - now) / 1000)),
+    cookie('refresh_token', refreshToken, Math.floor((session.expiresAt - now) / 1000), '/api'),
+  ]);
+
+  // Also returned in the body for clients that can't rely on cookies (the extension)
+  return { accessToken, refreshToken, expiresAt: new Date(accessExp).toISOString() };
+}
+
+export async function startSession(res, user) {
+  const { refreshMaxAgeSec } = env();
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    username: user.username,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + refreshMaxAgeSec * 1000,
+  };
+  await sessions().set(session.id, session, { ttlMs: refreshMaxAgeSec * 1000 });
+  return issueTokens(res, session);
+}
+
+function readCookie(req, name) {
+  const cookieHeader = req.headers.cookie || '';
+  const pair = cookieHeader.split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? pair.slice(name.length + 1) : null;
+}
+
+function readToken(req, type) {
+  if (type === 'access') {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return readCookie(req, 'token');
+  }
+  return req.body?.refreshToken || readCookie(req, 'refresh_token');
+}
+
+// Payload → { user, session } if the session is still live and the user still exists.
+async function resolveSession(payload) {
+  if (!payload) return null;
+  const session = await sessions().get(payload.sid);
+  if (!session || session.userId !== payload.sub) return null;
+
+  const user = await getUser(session.username);
+  if (!user || user.disabled || user.id !== session.userId) return null;
+  return { user: { id: user.id, username: user.username }, session };
+}
+
+/**
+ * The signed-in user for a request, or null.
+ */
+export async function authenticate(req) {
+  const resolved = await resolveSession(verifyToken(readToken(req, 'access'), 'access'));
+  return resolved?.user || null;
+}
+
+/**
+ * Guard for handlers: resolves to the user, or answers 401 (not signed in) or
+ * 429 (per-user rate limit or daily quota, see lib/limits.js) and resolves to
+ * null. Sets `req.user`. AUTH_DISABLED=true skips sign-in outside production.
+ * Routes that don't call the model pass { quota: false } so they keep working
+ * once the day's quota is spent.
+ *
+ *   const user = await requireUser(req, res);
+ *   if (!user) return;
+ */
+export async function requireUser(req, res, { quota = true } = {}) {
+  const user = process.env.AUTH_DISABLED === 'true' && !env().production
+    ? { id: 'anonymous', username: 'anonymous' }
+    : await authenticate(req);
+  if (!user) {
+    sendError(res, new ApiError(401, 'unauthorized', 'Not authenticated'));
+    return null;
+  }
+
+  req.user = user;
+  const context = requestContext();
+  if (context) context.user = user;
+
+  if (!(await checkUserLimits(user, res, { quota }))) return null;
+  return user;
+}
+
+/**
+ * Swap a refresh token for a new token pair (the old refresh token stays valid
+ * until the session ends). Resolves to the new tokens and user, or null.
+ */
+export async function refreshSession(req, res) {
+  const resolved = await resolveSession(verifyToken(readToken(req, 'refresh'), 'refresh'));
+  if (!resolved) return null;
+  return { user: resolved.user, ...issueTokens(res, resolved.session) };
+}
+
+/**
+ * End the session behind whichever token the request carries and clear the cookies.
+ */
+export async function endSession(req, res) {
+  const payload = verifyToken(readToken(req, 'access'), 'access') || verifyToken(readToken(req, 'refresh'), 'refresh');
+  if (payload) await sessions().delete(payload.sid);
+
+  res.setHeader('Set-Cookie', [cookie('token', '', 0), cookie('refresh_token', '', 0, '/api')]);
+  return Boolean(payload);
+}
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { getStore } from './store.js';
+import { resolveRoute } from './providers/index.js';
+
+// Response cache for the summary routes, so summarizing the same page or file
+// twice doesn't pay for the same completion twice.
+//
+// Entries live in the "cache" store (STORE_BACKEND_CACHE=memory|file) for
+// CACHE_TTL_SEC (default 86400; 0 turns caching off). Keys hash the route's
+// provider and model together with whatever the handler says shapes the
+// answer: normalized input text, file hashes, system prompt, format.
+//
+// Responses say X-Cache: HIT (with Age), MISS or BYPASS. Clients skip the
+// lookup with `Cache-Control: no-cache` or `cache: false` in the body (the
+// fresh answer is still stored), and skip caching entirely with
+// `Cache-Control: no-store`.
+
+// Bump to drop everything cached by older code
+const CACHE_VERSION = 1;
+
+export function cacheTtlSec() {
+  return process.env.CACHE_TTL_SEC !== undefined ? Number(process.env.CACHE_TTL_SEC) : 24 * 60 * 60;
+}
+
+/**
+ * Whitespace and Unicode form shouldn't make the same text miss the cache.
+ */
+export function normalizeText(text) {
+  return String(text ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export function hashBytes(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export function cacheKey(route, parts) {
+  const { provider, model } = resolveRoute(route);
+  return `${route}:${hashBytes(JSON.stringify({ v: CACHE_VERSION, provider, model, ...parts }))}`;
+}
+
+// "use" (look up, store misses), "refresh" (skip the lookup, store) or "off"
+function cacheMode(req, bypass) {
+  const header = String(req.headers?.['cache-control'] || '').toLowerCase();
+  if (!cacheTtlSec() || header.includes('no-store')) return 'off';
+  if (bypass || header.includes('no-cache')) return 'refresh';
+  return 'use';
+}
+
+/**
+ * Answer from the cache or run `compute` and remember its result.
+ * `compute` must resolve to something JSON-serialisable (the response body).
+ * Cache failures are logged and otherwise ignored.
+ *
+ *   const body = await cached(req, res, { route: "summarize", parts: { text } }, () => summarize(text));
+ */
+export async function cached(req, res, { route, parts, bypass = false }, compute) {
+  const mode = cacheMode(req, bypass);
+  const store = getStore('cache');
+  const key = mode === 'off' ? null : cacheKey(route, parts);
+
+  if (mode === 'use') {
+    try {
+      const entry = await store.get(key);
+      if (entry) {
+        res.setHeader('X-Cache', 'HIT');
+        res.setHeader('Age', String(Math.max(0, Math.floor((Date.now() - entry.cachedAt) / 1000))));
+        return entry.value;
+      }
+    } catch (err) {
+      console.error('Cache read failed:', err);
+    }
+  }
+
+  const value = await compute();
+  res.setHeader('X-Cache', mode === 'use' ? 'MISS' : 'BYPASS');
+  if (key) {
+    try {
+      await store.set(key, { value, cachedAt: Date.now() }, { ttlMs: cacheTtlSec() * 1000 });
+    } catch (err) {
+      console.error('Cache write failed:', err);
+    }
+  }
+  return value;
+}
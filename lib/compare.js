@@ -0,0 +1,36 @@
+// Cheap line-level diff between two document versions, used to point the model
+// at what actually changed. Lines are compared after normalizing whitespace and
+// case, so re-wrapped text doesn't show up as a change; order is ignored.
+
+function normalize(line) {
+  return line.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function lines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Returns { removed, added, unchanged }: lines only in `before`, lines only in
+ * `after`, and how many lines they share.
+ */
+export function lineDiff(before, after) {
+  const beforeLines = lines(before);
+  const afterLines = lines(after);
+  const beforeSet = new Set(beforeLines.map(normalize));
+  const afterSet = new Set(afterLines.map(normalize));
+
+  return {
+    removed: beforeLines.filter(line => !afterSet.has(normalize(line))),
+    added: afterLines.filter(line => !beforeSet.has(normalize(line))),
+    unchanged: beforeLines.filter(line => afterSet.has(normalize(line))).length,
+  };
+}
+
+/**
+ * Render a diff as "- removed" / "+ added" lines, cut off at `maxChars`.
+ */
+export function formatDiff({ removed, added }, maxChars) {
+  const out = [...removed.map(line => `- ${line}`), ...added.map(line => `+ ${line}`)].join('\n');
+  return out.length > maxChars ? out.slice(0, maxChars) + '\n[diff truncated]' : out;
+}
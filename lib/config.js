@@ -0,0 +1,127 @@
+// Per-route provider/model selection.
+//
+// Every handler asks for its route by name; the defaults below mirror what each
+// handler used to hardcode. Any of them can be overridden from the environment:
+//
+//   AI_PROVIDER=local                 switch every route to another backend
+//   AI_PROVIDER_CHAT2=openai          ...or a single route (route name upper-cased,
+//   AI_MODEL_CHAT2=gpt-4o             dashes become underscores: AI_REQUEST)
+//   AI_MAX_TOKENS_CHAT2=2000
+//   AI_PRESET_CHAT2=my-persona        default system prompt preset (lib/prompts.js)
+//
+// Backends: "openai", "local" (any OpenAI-compatible server such as Ollama or
+// llama.cpp, see LOCAL_AI_BASE_URL) and "huggingface" (the summarizer Space).
+
+const ROUTES = {
+  'ai-request': { provider: 'openai', model: 'gpt-3.5-turbo', maxTokens: 500 },
+  chat: { provider: 'openai', model: 'gpt-4o-mini', preset: 'assistant' },
+  chat2: { provider: 'openai', model: 'gpt-4o-mini', maxTokens: 1000, preset: 'assistant' },
+  chat3: { provider: 'openai', model: 'gpt-3.5-turbo', maxTokens: 600 },
+  simplesummary: { provider: 'openai', model: 'gpt-5-nano', preset: 'summarizer' },
+  detailedsummary: { provider: 'openai', model: 'gpt-5-nano', preset: 'document-analysis' },
+  summarize: { provider: 'huggingface' },
+  vision: { provider: 'openai', model: 'gpt-4o-mini', maxTokens: 1500, preset: 'study-assistant' },
+  // questions about indexed documents (api/ask.js)
+  ask: { provider: 'openai', model: 'gpt-4o-mini', maxTokens: 1000, preset: 'document-qa' },
+  // rolling summaries of old chat turns (lib/context.js)
+  'history-summary': { provider: 'openai', model: 'gpt-4o-mini', maxTokens: 400 },
+  // summaries from models that only write English (lib/language.js)
+  translate: { provider: 'openai', model: 'gpt-4o-mini' },
+};
+
+// Context window sizes in tokens. Override per model with
+// AI_CONTEXT_TOKENS_<MODEL>, e.g. AI_CONTEXT_TOKENS_GPT_4O_MINI=16000.
+const CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-5-nano': 400000,
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+function envKey(route) {
+  return route.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+export function routeNames() {
+  return Object.keys(ROUTES);
+}
+
+/**
+ * Resolve the provider name, model, token limit and default prompt preset for
+ * a route. `model` is left undefined when the route should use the provider's
+ * default; `preset` when the route sends no system prompt by default.
+ */
+export function routeConfig(route) {
+  const defaults = ROUTES[route];
+  if (!defaults) throw new Error(`Unknown route: ${route}`);
+
+  const key = envKey(route);
+  const provider = process.env[`AI_PROVIDER_${key}`] || process.env.AI_PROVIDER || defaults.provider;
+
+  // Only keep the hardcoded model when we're still talking to the backend it was written for.
+  const model = process.env[`AI_MODEL_${key}`]
+    || (provider === defaults.provider ? defaults.model : undefined);
+
+  const maxTokensEnv = process.env[`AI_MAX_TOKENS_${key}`];
+  const maxTokens = maxTokensEnv ? Number(maxTokensEnv) : defaults.maxTokens;
+
+  const preset = process.env[`AI_PRESET_${key}`] || defaults.preset;
+
+  return { route, provider, model, maxTokens, preset };
+}
+
+// USD per million tokens [input, output]. Override with
+// AI_PRICE_<MODEL>="input,output"; unknown models (local, HF) cost nothing.
+const PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-5-nano': [0.05, 0.4],
+};
+
+/**
+ * Cost in USD of a completion's `usage` block.
+ */
+export function usageCost(model, usage) {
+  if (!usage) return 0;
+  const override = process.env[`AI_PRICE_${envKey(model || '')}`];
+  // Dated snapshots ("gpt-4o-mini-2024-07-18") are priced like their base model
+  const base = Object.keys(PRICES).filter(name => model?.startsWith(name)).sort((a, b) => b.length - a.length)[0];
+  const [input, output] = override ? override.split(',').map(Number) : PRICES[model] || PRICES[base] || [0, 0];
+  return ((usage.prompt_tokens || 0) * input + (usage.completion_tokens || 0) * output) / 1e6;
+}
+
+export function contextWindow(model) {
+  const override = process.env[`AI_CONTEXT_TOKENS_${envKey(model || '')}`];
+  if (override) return Number(override);
+  return CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+export function providerSettings(name) {
+  switch (name) {
+    case 'openai':
+      return {
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        // AI_API_KEY is what api/ai-request.js originally read
+        apiKey: process.env.OPENAI_API_KEY || process.env.AI_API_KEY,
+        requireKey: true,
+        defaultModel: 'gpt-4o-mini',
+      };
+    case 'local':
+      return {
+        baseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_AI_API_KEY,
+        requireKey: false,
+        defaultModel: process.env.LOCAL_AI_MODEL || 'llama3.1',
+      };
+    case 'huggingface':
+      return {
+        // Space "Saroshasdsd/my-summarizer" exposes POST /summarize
+        url: process.env.HF_SPACE_URL || 'https://Saroshasdsd-my-summarizer.hf.space/summarize',
+        defaultModel: 'hf-space',
+      };
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,109 @@
+import { complete, resolveRoute } from './providers/index.js';
+import { contextWindow } from './config.js';
+
+// Keeps multi-turn history inside the model's context window. The newest turns
+// are sent verbatim; anything older is folded into a rolling summary stored on
+// the conversation as { text, messageCount }, where messageCount is how many of
+// the leading messages it covers.
+
+// Room left for the reply when a route has no max_tokens of its own
+const DEFAULT_REPLY_RESERVE = 1024;
+// What an image part costs; OpenAI charges roughly this for a high-detail
+// image once lib/images.js has scaled it down
+const IMAGE_TOKENS = 1100;
+
+const SUMMARY_PROMPT = "You are an ai summarizer, summarize the conversation we send you and nothing else. Keep the facts, names, decisions and open questions the assistant will need to continue it, keep it short and clean and not too long.";
+
+/**
+ * Rough token count (~4 characters per token plus per-message overhead). Good
+ * enough for budgeting without shipping a tokenizer per model.
+ */
+export function estimateTokens(input) {
+  if (Array.isArray(input)) {
+    return input.reduce((sum, message) => sum + 4 + estimateTokens(contentText(message.content)) + imageCount(message.content) * IMAGE_TOKENS, 2);
+  }
+  return Math.ceil(String(input || '').length / 4);
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).map(part => (part.type === 'image_url' ? '[image]' : part.text || '')).join(' ');
+}
+
+function imageCount(content) {
+  return Array.isArray(content) ? content.filter(part => part.type === 'image_url').length : 0;
+}
+
+async function summarize(previous, messages) {
+  const transcript = messages.map(m => `${m.role}: ${contentText(m.content)}`).join('\n\n');
+  const { text } = await complete('history-summary', {
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: previous
+          ? `Summary of the conversation so far:\n${previous}\n\nContinuation:\n${transcript}`
+          : transcript,
+      },
+    ],
+  });
+  return text.trim();
+}
+
+/**
+ * Build the message list to send for `route`. `system` is always first; the
+ * most recent turns that fit the model's budget follow, preceded by a summary
+ * of everything older. Updates `conversation.summary` when more turns had to be
+ * folded in.
+ *
+ * Returns { messages, context: { turnsKept, turnsSummarized, turnsDropped, budget } };
+ * turnsDropped is only non-zero when summarizing failed.
+ */
+export async function buildContext(route, conversation, { system } = {}) {
+  const { model, maxTokens } = resolveRoute(route);
+  const budget = contextWindow(model) - (maxTokens || DEFAULT_REPLY_RESERVE);
+  const history = conversation.messages;
+  const systemMessages = system ? [{ role: 'system', content: system }] : [];
+  const summaryMessage = text => ({ role: 'system', content: `Summary of the earlier conversation:\n${text}` });
+
+  // Walk back from the newest turn; the latest message is always sent
+  const summary = conversation.summary;
+  let used = estimateTokens(systemMessages) + (summary ? estimateTokens([summaryMessage(summary.text)]) : 0);
+  let start = history.length;
+  while (start > 0) {
+    const cost = estimateTokens([history[start - 1]]);
+    if (start < history.length && used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  const covered = summary?.messageCount || 0;
+  if (start > covered) {
+    try {
+      conversation.summary = {
+        text: await summarize(summary?.text, history.slice(covered, start)),
+        messageCount: start,
+      };
+    } catch (err) {
+      // Losing the oldest turns beats failing the whole request
+      console.error('History summarization failed, truncating instead:', err.message);
+    }
+  }
+
+  // Never resend turns the summary already covers
+  const keptFrom = Math.max(start, conversation.summary?.messageCount || 0);
+  const messages = [...systemMessages];
+  if (conversation.summary) messages.push(summaryMessage(conversation.summary.text));
+  messages.push(...history.slice(keptFrom));
+
+  const turnsSummarized = conversation.summary?.messageCount || 0;
+  return {
+    messages,
+    context: {
+      turnsKept: history.length - keptFrom,
+      turnsSummarized,
+      turnsDropped: keptFrom - turnsSummarized,
+      budget,
+    },
+  };
+}
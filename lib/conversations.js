@@ -0,0 +1,101 @@
+import { randomUUID } from 'crypto';
+import { getStore } from './store.js';
+
+// Conversations live in the "conversations" store (see lib/store.js) and expire
+// CONVERSATION_TTL_SEC after their last update (default 30 days). Each belongs
+// to the user who started it; other users see it as not found.
+// Routes whose histories must not mix with chat's pass their own store as the
+// `namespace` option (api/ask.js).
+
+const DEFAULT_TTL_SEC = 30 * 24 * 60 * 60;
+const TITLE_LENGTH = 60;
+
+function ttlMs() {
+  return Number(process.env.CONVERSATION_TTL_SEC || DEFAULT_TTL_SEC) * 1000;
+}
+
+function store(namespace = 'conversations') {
+  return getStore(namespace);
+}
+
+function titleFrom(content) {
+  // Messages with images carry their text in a content part
+  const prompt = Array.isArray(content) ? content.find(part => part.type === 'text')?.text : content;
+  const text = String(prompt || '').replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_LENGTH ? text.slice(0, TITLE_LENGTH - 1) + '…' : text || 'New conversation';
+}
+
+function owns(conversation, userId) {
+  return conversation && (userId === undefined || conversation.userId === userId);
+}
+
+/**
+ * Load a conversation, or start a fresh one (not yet saved) when `id` is
+ * missing, unknown, expired or someone else's.
+ */
+export async function loadConversation(id, { userId, namespace } = {}) {
+  const existing = id ? await store(namespace).get(id) : null;
+  if (owns(existing, userId)) return existing;
+
+  const now = new Date().toISOString();
+  return {
+    // never reuse another user's id
+    id: id && !existing ? id : randomUUID(),
+    userId,
+    title: null,
+    metadata: {},
+    messages: [],
+    summary: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Persist a conversation and push its expiry forward. The title defaults to the
+ * first user message; `metadata` from the request is merged into what's stored.
+ */
+export async function saveConversation(conversation, { title, metadata, namespace } = {}) {
+  if (title) conversation.title = String(title).slice(0, 200);
+  if (!conversation.title) {
+    conversation.title = titleFrom(conversation.messages.find(m => m.role === 'user')?.content);
+  }
+  if (metadata && typeof metadata === 'object') {
+    conversation.metadata = { ...conversation.metadata, ...metadata };
+  }
+  conversation.updatedAt = new Date().toISOString();
+  conversation.expiresAt = new Date(Date.now() + ttlMs()).toISOString();
+
+  await store(namespace).set(conversation.id, conversation, { ttlMs: ttlMs() });
+  return conversation;
+}
+
+export async function getConversation(id, { userId, namespace } = {}) {
+  const conversation = await store(namespace).get(id);
+  return owns(conversation, userId) ? conversation : null;
+}
+
+export async function deleteConversation(id, { userId, namespace } = {}) {
+  if (!(await getConversation(id, { userId, namespace }))) return false;
+  return store(namespace).delete(id);
+}
+
+/**
+ * Newest first, without the message bodies.
+ */
+export async function listConversations({ userId, limit = 50, namespace } = {}) {
+  const entries = await store(namespace).entries();
+  return entries
+    .filter(({ value }) => owns(value, userId))
+    .map(({ value }) => ({
+      id: value.id,
+      title: value.title,
+      metadata: value.metadata,
+      messageCount: value.messages.length,
+      createdAt: value.createdAt,
+      updatedAt: value.updatedAt,
+      expiresAt: value.expiresAt,
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
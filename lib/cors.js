@@ -0,0 +1,77 @@
+import { ApiError } from './errors.js';
+import { sendError } from './handler.js';
+
+// Shared CORS policy, applied to every route by withRequest() in lib/handler.js.
+//
+// CORS_ORIGINS is a comma-separated allowlist of exact origins, e.g.
+//
+//   CORS_ORIGINS=https://sarosh.site,http://localhost:3000,chrome-extension://<extension id>
+//
+// Listed origins get their origin echoed back with
+// Access-Control-Allow-Credentials, so the session cookies from api/login.js
+// work cross-origin. A "*" entry lets any other origin in as well, but without
+// credentials (browsers refuse to send cookies to a wildcard). Leaving
+// CORS_ORIGINS unset means "*".
+//
+// Requests from any other origin are refused with 403, preflight or not.
+// Requests without an Origin header (same-origin, curl, server-to-server) are
+// not affected.
+
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-Request-Id', 'Cache-Control'];
+const EXPOSED_HEADERS = ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Request-Id', 'X-Cache', 'Age'];
+const PREFLIGHT_MAX_AGE_SEC = 600;
+
+export function allowedOrigins() {
+  const list = process.env.CORS_ORIGINS ?? '*';
+  // Origins are case-insensitive and never end in a slash; normalise typos in the env
+  return list.split(',').map(origin => origin.trim().replace(/\/+$/, '').toLowerCase()).filter(Boolean);
+}
+
+/**
+ * How to answer `origin`: { allowed, allowOrigin, credentials }.
+ * `allowOrigin` is the Access-Control-Allow-Origin value (null when no header
+ * is needed because the request has no Origin).
+ */
+export function corsPolicy(origin) {
+  if (!origin) return { allowed: true, allowOrigin: null, credentials: false };
+
+  const origins = allowedOrigins();
+  if (origins.includes(origin.toLowerCase())) return { allowed: true, allowOrigin: origin, credentials: true };
+  if (origins.includes('*')) return { allowed: true, allowOrigin: '*', credentials: false };
+  return { allowed: false, allowOrigin: null, credentials: false };
+}
+
+/**
+ * Set the CORS headers for this request and answer preflights. Resolves to
+ * true when the handler should run, false once the response has been sent
+ * (OPTIONS answered with 204, or a disallowed origin refused with 403).
+ * `methods` are the methods the route implements.
+ */
+export function applyCors(req, res, methods) {
+  const origin = req.headers?.origin;
+  const { allowed, allowOrigin, credentials } = corsPolicy(origin);
+
+  // The answer depends on Origin, so caches mustn't share it across origins
+  res.setHeader('Vary', 'Origin');
+
+  if (!allowed) {
+    sendError(res, new ApiError(403, 'origin_not_allowed', 'Origin not allowed'));
+    return false;
+  }
+
+  if (allowOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+    if (credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(', '));
+    res.setHeader('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE_SEC));
+    res.status(204).end();
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,224 @@
+import { randomUUID } from 'crypto';
+import { getStore } from './store.js';
+
+// Documents kept for question answering (api/documents.js, api/ask.js). The
+// text extracted at upload is split into chunks of about CHUNK_SIZE characters,
+// each remembering the page it came from, and indexed for BM25 ranking so a
+// question only sends the most relevant chunks to the model.
+//
+// Documents live in the "documents" store and expire DOCUMENT_TTL_SEC after
+// upload (default 30 days). Like conversations, each belongs to the user who
+// uploaded it; other users see it as not found.
+
+const DEFAULT_TTL_SEC = 30 * 24 * 60 * 60;
+const CHUNK_SIZE = 1200;
+
+// BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set((
+  'a an and are as at be been but by can could did do does for from had has have how i if in into is it its ' +
+  'me my no not of on or our so than that the their them then there these they this those to us was we were ' +
+  'what when where which who whom why will with would you your'
+).split(' '));
+
+function ttlMs() {
+  return Number(process.env.DOCUMENT_TTL_SEC || DEFAULT_TTL_SEC) * 1000;
+}
+
+function store() {
+  return getStore('documents');
+}
+
+function owns(document, userId) {
+  return document && (userId === undefined || document.userId === userId);
+}
+
+// Plurals and the like, so "invoices" finds "invoice"
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercased, accent-free search terms of `text`, without stopwords.
+ */
+export function tokenize(text) {
+  const words = String(text).toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => !STOPWORDS.has(word)).map(stem);
+}
+
+// Paragraphs, with any longer than CHUNK_SIZE broken at sentence ends (or
+// anywhere, for text without them)
+function pieces(text) {
+  const out = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+    if (trimmed.length <= CHUNK_SIZE) {
+      out.push(trimmed);
+      continue;
+    }
+    let current = '';
+    for (const sentence of trimmed.split(/(?<=[.!?])\s+|\n+/)) {
+      for (let i = 0; i < sentence.length; i += CHUNK_SIZE) {
+        const part = sentence.slice(i, i + CHUNK_SIZE);
+        if (current && current.length + part.length + 1 > CHUNK_SIZE) {
+          out.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${part}` : part;
+      }
+    }
+    if (current) out.push(current);
+  }
+  return out;
+}
+
+/**
+ * Split extracted text into chunks of up to CHUNK_SIZE characters. With
+ * `pageTexts` (PDFs) chunks never cross a page, so each cites exactly one:
+ * `page` is 1-based, or null for text without pages. Returns
+ * [{ index, text, page }], index from 1.
+ */
+export function chunkText({ content, pageTexts }) {
+  const units = pageTexts?.length
+    ? pageTexts.map((text, i) => ({ text, page: i + 1 }))
+    : [{ text: content || '', page: null }];
+
+  const chunks = [];
+  for (const { text, page } of units) {
+    let current = '';
+    const flush = () => {
+      if (current) chunks.push({ index: chunks.length + 1, text: current, page });
+      current = '';
+    };
+    for (const piece of pieces(text)) {
+      if (current && current.length + piece.length + 2 > CHUNK_SIZE) flush();
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+    flush();
+  }
+  return chunks;
+}
+
+/**
+ * BM25 statistics for a document's chunks: document frequencies, per-chunk
+ * term counts and lengths.
+ */
+export function buildIndex(chunks) {
+  // No prototype, so terms like "constructor" start from nothing
+  const df = Object.create(null);
+  const tf = [];
+  const lengths = [];
+  for (const chunk of chunks) {
+    const terms = tokenize(chunk.text);
+    const counts = Object.create(null);
+    for (const term of terms) counts[term] = (counts[term] || 0) + 1;
+    for (const term of Object.keys(counts)) df[term] = (df[term] || 0) + 1;
+    tf.push(counts);
+    lengths.push(terms.length);
+  }
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  return { df, tf, lengths, avgLength: chunks.length ? total / chunks.length : 0 };
+}
+
+/**
+ * Rank a document's chunks against `query`. Returns the best `limit`
+ * chunks with a positive score, as [{ chunk, score }].
+ */
+export function searchDocument(document, query, { limit = 5 } = {}) {
+  const { df, tf, lengths, avgLength } = document.index;
+  const count = document.chunks.length;
+  const terms = [...new Set(tokenize(query))];
+
+  return document.chunks
+    .map((chunk, i) => {
+      let score = 0;
+      for (const term of terms) {
+        // The index comes back from the store as plain objects
+        const frequency = Object.hasOwn(tf[i], term) ? tf[i][term] : 0;
+        if (!(frequency > 0)) continue;
+        const idf = Math.log(1 + (count - df[term] + 0.5) / (df[term] + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengths[i] / (avgLength || 1)));
+      }
+      return { chunk, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * The sentence of `text` sharing the most terms with `query`, trimmed to
+ * `maxChars`, for quoting alongside a citation.
+ */
+export function bestSentence(text, query, maxChars = 300) {
+  const wanted = new Set(tokenize(query));
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+  let best = sentences[0] || '';
+  let bestHits = -1;
+  for (const sentence of sentences) {
+    const hits = new Set(tokenize(sentence).filter(term => wanted.has(term))).size;
+    if (hits > bestHits) {
+      best = sentence;
+      bestHits = hits;
+    }
+  }
+  return best.length > maxChars ? best.slice(0, maxChars - 1) + '…' : best;
+}
+
+/**
+ * Chunk, index and store extracted text. `content` and `pageTexts` come from
+ * processFile() (lib/extract.js).
+ */
+export async function createDocument({ userId, name, fileInfo, type, pages, content, pageTexts }) {
+  const chunks = chunkText({ content, pageTexts });
+  const now = new Date();
+  const document = {
+    id: randomUUID(),
+    userId,
+    name,
+    fileInfo,
+    type,
+    pages: pages || null,
+    chunks,
+    index: buildIndex(chunks),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMs()).toISOString(),
+  };
+  await store().set(document.id, document, { ttlMs: ttlMs() });
+  return document;
+}
+
+/**
+ * What the API shows of a document: everything but the chunks and index.
+ */
+export function describeDocument(document) {
+  const { id, name, fileInfo, type, pages, chunks, createdAt, expiresAt } = document;
+  return { id, name, fileInfo, type, pages, chunkCount: chunks.length, createdAt, expiresAt };
+}
+
+export async function getDocument(id, { userId } = {}) {
+  const document = await store().get(id);
+  return owns(document, userId) ? document : null;
+}
+
+export async function deleteDocument(id, { userId } = {}) {
+  if (!(await getDocument(id, { userId }))) return false;
+  return store().delete(id);
+}
+
+/**
+ * Newest first, as describeDocument() shows them.
+ */
+export async function listDocuments({ userId, limit = 50 } = {}) {
+  const entries = await store().entries();
+  return entries
+    .filter(({ value }) => owns(value, userId))
+    .map(({ value }) => describeDocument(value))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
@@ -0,0 +1,62 @@
+import fs from 'fs';
+
+// .env support for the standalone server (server.js). Vercel injects the
+// project's environment itself, so nothing in api/ reads files.
+//
+//   # comment
+//   OPENAI_API_KEY=sk-...
+//   export CORS_ORIGINS="https://sarosh.site, chrome-extension://abc"
+//   CHAT_SYSTEM_PROMPT='Single quotes keep $ and \n as they are'
+//
+// Variables already set in the environment win over the file.
+
+/**
+ * Parse the text of a .env file into { KEY: value }.
+ */
+export function parseEnv(text) {
+  const values = {};
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const [, key, rest] = match;
+
+    let value;
+    if (rest.startsWith('"')) {
+      const quoted = /^"((?:\\.|[^"\\])*)"?/.exec(rest)[1];
+      value = quoted.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c));
+    } else if (rest.startsWith("'")) {
+      const end = rest.indexOf("'", 1);
+      value = end === -1 ? rest.slice(1) : rest.slice(1, end);
+    } else {
+      // Unquoted values end at an inline comment
+      value = rest.replace(/\s+#.*$/, '').trim();
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+/**
+ * Load `file` into process.env without overriding what's already set.
+ * A missing file is fine. Returns the keys that were set.
+ */
+export function loadEnvFile(file = '.env') {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const loaded = [];
+  for (const [key, value] of Object.entries(parseEnv(text))) {
+    if (process.env[key] !== undefined) continue;
+    process.env[key] = value;
+    loaded.push(key);
+  }
+  return loaded;
+}
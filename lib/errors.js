@@ -0,0 +1,94 @@
+// Error raised when an upstream model provider fails or is misconfigured.
+// `status` is the upstream HTTP status when there was one; `timeout` is set
+// when the call was cut off by AI_TIMEOUT_MS, and `retryAfterSec` carries the
+// upstream Retry-After header.
+export class ProviderError extends Error {
+  constructor(message, { provider, status, details, timeout = false, retryAfterSec, code } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+    this.timeout = timeout;
+    this.retryAfterSec = retryAfterSec;
+    this.code = code;
+  }
+}
+
+// An error meant for the client. Every route answers errors with the same
+// envelope (see sendError() in lib/handler.js):
+//
+//   { error: { code, message, retryable, requestId, details? } }
+//
+// `code` is a stable snake_case identifier clients can switch on; `message`
+// is safe to show to a user.
+export class ApiError extends Error {
+  constructor(status, code, message, { retryable = false, details, retryAfterSec } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.details = details;
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
+export function badRequest(message, details) {
+  return new ApiError(400, 'bad_request', message, { details });
+}
+
+// Upstream statuses worth another attempt: timeouts, conflicts, rate limits
+// and server-side failures.
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+export function isRetryable(err) {
+  if (!(err instanceof ProviderError) || err.code === 'not_configured') return false;
+  // No status means the request never got an answer (network error, timeout)
+  return err.status ? RETRYABLE_STATUSES.has(err.status) : true;
+}
+
+function upstreamMessage(err) {
+  const details = err.details;
+  return details?.error?.message || (typeof details?.error === 'string' && details.error) || null;
+}
+
+function fromProviderError(err) {
+  const retryable = isRetryable(err);
+  if (err.code === 'not_configured') {
+    return new ApiError(500, 'not_configured', 'The AI provider for this route is not configured');
+  }
+  if (err.timeout || err.status === 408 || err.status === 504) {
+    return new ApiError(504, 'upstream_timeout', 'The AI provider took too long to answer', { retryable: true });
+  }
+  if (err.status === 429) {
+    return new ApiError(429, 'upstream_rate_limited', 'The AI provider is rate limiting requests, try again shortly', {
+      retryable: true,
+      retryAfterSec: err.retryAfterSec,
+    });
+  }
+  // The provider rejected what we sent (too long, bad image, ...): the
+  // caller's input is the likely cause, and the provider says why
+  if ([400, 413, 415, 422].includes(err.status)) {
+    return new ApiError(400, 'upstream_rejected', upstreamMessage(err) || 'The AI provider rejected the request');
+  }
+  // 401/403/404 mean our key or model name is wrong, which the caller can't fix
+  return new ApiError(502, 'upstream_error', 'The AI provider failed to answer', { retryable });
+}
+
+/**
+ * Map anything thrown in a handler to an ApiError. Unknown errors become a
+ * generic 500 so internals never leak to the client.
+ */
+export function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof ProviderError) return fromProviderError(err);
+  // FormatError (lib/formats.js): the model kept returning output that failed validation
+  if (err?.name === 'FormatError') {
+    return new ApiError(502, 'invalid_model_output', 'Could not produce a valid structured summary', {
+      retryable: true,
+      details: err.errors,
+    });
+  }
+  return new ApiError(500, 'internal_error', 'Something went wrong');
+}
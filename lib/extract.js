@@ -0,0 +1,267 @@
+import fs from 'fs';
+import path from 'path';
+import pdf from 'pdf-parse';
+import { extractDocx, extractPptx, extractSpreadsheet } from './office.js';
+import { ocrImage, ocrPdf } from './ocr.js';
+import { extractArticle, formatArticle } from './html.js';
+import { ApiError } from './errors.js';
+
+// Text extraction for uploaded documents, shared by api/detailedsummary.js and
+// the document index (lib/documents.js).
+
+// Same text extraction pdf-parse does by default, but keeps each page separately
+// so long documents can be split on page boundaries.
+function pageRenderer(pageTexts) {
+  return async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY, text = '';
+    for (const item of textContent.items) {
+      text += (lastY == item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+      lastY = item.transform[5];
+    }
+    pageTexts[pageData.pageIndex] = text;
+    return text;
+  };
+}
+
+// Enhanced file processor with PDF and Office support. `fileExtension` is the
+// type checkUpload() (lib/uploads.js) settled on from the file's content.
+export async function processFile(filePath, fileName, fileExtension = path.extname(fileName).toLowerCase()) {
+  const fileBuffer = fs.readFileSync(filePath);
+  
+  console.log(`Processing file: ${fileName}, extension: ${fileExtension}, size: ${fileBuffer.length} bytes`);
+  
+  try {
+    switch (fileExtension) {
+      case '.pdf':
+        try {
+          console.log('Starting PDF processing...');
+          const pageTexts = [];
+          // pdf-parse's pdf.js reads the whole underlying ArrayBuffer, and small
+          // files come back from readFileSync as slices of Node's shared pool
+          const pdfData = await pdf(new Uint8Array(fileBuffer), { pagerender: pageRenderer(pageTexts) });
+          console.log(`PDF processed successfully. Pages: ${pdfData.numpages}, Text length: ${pdfData.text.length}`);
+          
+          if (!pdfData.text || pdfData.text.trim().length === 0) {
+            // Probably scanned pages; fall back to OCR before giving up
+            console.log('No text layer found, trying OCR...');
+            const scanned = await ocrPdf(fileBuffer).catch(ocrError => {
+              console.error('PDF OCR error:', ocrError);
+              return null;
+            });
+            if (!scanned?.text) {
+              throw new Error('No text content found in PDF - it might be image-based or encrypted');
+            }
+            console.log(`PDF OCR finished. Pages: ${scanned.pagesProcessed}, Text length: ${scanned.text.length}, Confidence: ${scanned.confidence}%`);
+
+            return {
+              content: scanned.text,
+              type: 'PDF Document (scanned)',
+              pages: pdfData.numpages,
+              pageTexts: scanned.pageTexts,
+              ocr: { used: true, confidence: scanned.confidence, pagesProcessed: scanned.pagesProcessed },
+              success: true
+            };
+          }
+          
+          return {
+            content: pdfData.text.trim(),
+            type: 'PDF Document',
+            pages: pdfData.numpages,
+            pageTexts: Array.from(pageTexts, t => t || ''),
+            success: true
+          };
+        } catch (pdfError) {
+          console.error('PDF processing error:', pdfError);
+          
+          // Provide helpful error messages based on the specific error
+          let errorMessage = '';
+          if (pdfError.message.includes('Invalid PDF')) {
+            errorMessage = 'The file appears to be corrupted or not a valid PDF.';
+          } else if (pdfError.message.includes('encrypted')) {
+            errorMessage = 'This PDF is password-protected. Please provide an unprotected version.';
+          } else if (pdfError.message.includes('No text content')) {
+            errorMessage = 'This PDF contains no text and OCR could not read its pages. Please provide a text-based PDF or a clearer scan.';
+          } else {
+            errorMessage = `PDF processing failed: ${pdfError.message}`;
+          }
+          
+          throw new Error(errorMessage);
+        }
+
+      case '.png':
+      case '.jpg':
+      case '.jpeg':
+      case '.webp':
+      case '.tif':
+      case '.tiff':
+      case '.bmp':
+      case '.gif':
+        try {
+          console.log('Starting image OCR...');
+          const scanned = await ocrImage(fileBuffer);
+          console.log(`Image OCR finished. Text length: ${scanned.text.length}, Confidence: ${scanned.confidence}%`);
+
+          if (!scanned.text) {
+            throw new Error('No text found in image');
+          }
+
+          return {
+            content: scanned.text,
+            type: 'Image',
+            ocr: { used: true, confidence: scanned.confidence },
+            success: true
+          };
+        } catch (imageError) {
+          console.error('Image OCR error:', imageError);
+          throw new Error(imageError.message.includes('No text found')
+            ? 'No readable text was found in this image.'
+            : 'The file appears to be corrupted or not a supported image.');
+        }
+
+      case '.txt':
+      case '.md':
+      case '.csv':
+      case '.json':
+      case '.xml':
+        try {
+          const content = fileBuffer.toString('utf8');
+          console.log(`Successfully read text file, content length: ${content.length}`);
+          return {
+            content: content,
+            type: `${fileExtension.toUpperCase().replace('.', '')} File`,
+            success: true
+          };
+        } catch (textError) {
+          console.error(`Error reading as text: ${textError.message}`);
+          throw new Error(`Could not read ${fileExtension} file as text`);
+        }
+
+      case '.html':
+      case '.htm': {
+        // Saved web pages: the article without the markup and page furniture
+        const article = extractArticle(fileBuffer.toString('utf8'));
+        if (!article.content) {
+          throw new Error('No readable content was found in this HTML page.');
+        }
+        console.log(`Extracted HTML page, ${article.words} words`);
+        return {
+          content: formatArticle(article),
+          type: 'HTML Page',
+          title: article.title,
+          author: article.author,
+          date: article.date,
+          success: true
+        };
+      }
+
+      case '.docx':
+        try {
+          const docx = await extractDocx(fileBuffer);
+          console.log(`Word document processed successfully. Paragraphs: ${docx.paragraphs}, Text length: ${docx.content.length}`);
+
+          if (!docx.content) {
+            throw new Error('No text content found in document');
+          }
+
+          return {
+            content: docx.content,
+            type: 'Word Document',
+            paragraphs: docx.paragraphs,
+            words: docx.words,
+            success: true
+          };
+        } catch (docxError) {
+          console.error('Word processing error:', docxError);
+          throw new Error(docxError.message.includes('No text content')
+            ? 'This Word document contains no text.'
+            : 'The file appears to be corrupted or not a valid .docx document.');
+        }
+
+      case '.doc':
+        return {
+          content: `[Word Document: ${fileName} - Legacy .doc files are not supported. Please save as .docx or PDF and try again.]`,
+          type: 'Word Document (Not processed)',
+          success: false
+        };
+
+      case '.xls':
+        return {
+          content: `[Excel Spreadsheet: ${fileName} - Legacy .xls files are not supported. Please save as .xlsx or CSV and try again.]`,
+          type: 'Excel Spreadsheet (Not processed)',
+          success: false
+        };
+
+      case '.xlsx':
+        try {
+          const workbook = await extractSpreadsheet(fileBuffer);
+          console.log(`Spreadsheet processed successfully. Sheets: ${workbook.sheets}, Text length: ${workbook.content.length}`);
+          return {
+            content: workbook.content,
+            type: 'Excel Spreadsheet',
+            sheets: workbook.sheets,
+            sheetNames: workbook.sheetNames,
+            success: true
+          };
+        } catch (xlsxError) {
+          console.error('Spreadsheet processing error:', xlsxError);
+          // Too large to read at all (see lib/office.js): that's the client's to fix
+          if (xlsxError instanceof ApiError) throw xlsxError;
+          throw new Error(`The file appears to be corrupted or not a valid ${fileExtension} spreadsheet.`);
+        }
+
+      case '.pptx':
+        try {
+          const presentation = await extractPptx(fileBuffer);
+          console.log(`Presentation processed successfully. Slides: ${presentation.slides}, Text length: ${presentation.content.length}`);
+          return {
+            content: presentation.content,
+            type: 'PowerPoint Presentation',
+            slides: presentation.slides,
+            slidesWithNotes: presentation.slidesWithNotes,
+            success: true
+          };
+        } catch (pptxError) {
+          console.error('Presentation processing error:', pptxError);
+          throw new Error('The file appears to be corrupted or not a valid .pptx presentation.');
+        }
+
+      case '.ppt':
+        return {
+          content: `[PowerPoint File: ${fileName} - Legacy .ppt files are not supported. Please save as .pptx or PDF and try again.]`,
+          type: 'PowerPoint Presentation (Not processed)',
+          success: false
+        };
+
+      default:
+        throw new Error(`Unsupported file type: ${fileExtension || 'no extension'}. Supported types: .pdf, .docx, .xlsx, .pptx, .png, .jpg, .webp, .tiff, .txt, .md, .csv, .json, .html, .xml`);
+    }
+  } catch (error) {
+    console.error(`Error processing ${fileExtension} file:`, error);
+    throw error;
+  }
+}
+
+/**
+ * One-line description of a processed file for prompts and responses, e.g.
+ * "File: report.pdf (0.12 MB, PDF Document) - 3 pages".
+ */
+export function describeFile(fileName, sizeBytes, processedFile) {
+  let fileInfo = `File: ${fileName} (${(sizeBytes / 1024 / 1024).toFixed(2)} MB, ${processedFile.type})`;
+  if (processedFile.pages) {
+    fileInfo += ` - ${processedFile.pages} pages`;
+  }
+  if (processedFile.sheets) {
+    fileInfo += ` - ${processedFile.sheets} sheets (${processedFile.sheetNames.join(', ')})`;
+  }
+  if (processedFile.slides) {
+    fileInfo += ` - ${processedFile.slides} slides`;
+  }
+  if (processedFile.title) {
+    fileInfo += ` - "${processedFile.title}"`;
+  }
+  if (processedFile.ocr) {
+    fileInfo += ` - text read with OCR (confidence ${processedFile.ocr.confidence}%)`;
+  }
+  return fileInfo;
+}
@@ -0,0 +1,155 @@
+import { complete } from './providers/index.js';
+import { validateSchema } from './schema.js';
+
+// Structured summary formats. The model is asked for JSON matching a small
+// schema; the reply is validated here and the model is asked again (up to
+// MAX_ATTEMPTS in total) when it doesn't parse or doesn't match.
+
+const MAX_ATTEMPTS = 3;
+const DEFAULT_BULLETS = 5;
+
+const stringArray = (extra = {}) => ({ type: 'array', items: { type: 'string' }, ...extra });
+
+const FORMATS = {
+  json: {
+    schema: () => ({
+      type: 'object',
+      required: ['title', 'tldr', 'keyPoints', 'entities', 'actionItems'],
+      properties: {
+        title: { type: 'string' },
+        tldr: { type: 'string' },
+        keyPoints: stringArray({ minItems: 1 }),
+        entities: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type'],
+            properties: { name: { type: 'string' }, type: { type: 'string' } },
+          },
+        },
+        actionItems: stringArray(),
+      },
+    }),
+    instructions: () => 'Return a JSON object with: "title" (short title for the content), "tldr" (one or two sentences), "keyPoints" (array of strings), "entities" (array of {"name", "type"} for people, organizations, places, products, dates) and "actionItems" (array of strings, empty if there are none).',
+    render: data => [
+      `# ${data.title}`,
+      `**TL;DR:** ${data.tldr}`,
+      data.keyPoints.map(p => `- ${p}`).join('\n'),
+      data.entities.length ? `**Entities:** ${data.entities.map(e => `${e.name} (${e.type})`).join(', ')}` : '',
+      data.actionItems.length ? `**Action items:**\n${data.actionItems.map(a => `- [ ] ${a}`).join('\n')}` : '',
+    ].filter(Boolean).join('\n\n'),
+  },
+
+  bullets: {
+    schema: ({ count }) => ({
+      type: 'object',
+      required: ['bullets'],
+      properties: { bullets: stringArray({ minItems: count, maxItems: count }) },
+    }),
+    instructions: ({ count }) => `Return a JSON object with "bullets": an array of exactly ${count} short strings, the most important points first.`,
+    render: data => data.bullets.map(b => `- ${b}`).join('\n'),
+  },
+
+  tldr: {
+    schema: () => ({ type: 'object', required: ['tldr'], properties: { tldr: { type: 'string' } } }),
+    instructions: () => 'Return a JSON object with "tldr": the whole content in one or two plain sentences.',
+    render: data => data.tldr,
+  },
+
+  'key-facts': {
+    schema: () => ({
+      type: 'object',
+      required: ['facts'],
+      properties: {
+        facts: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['label', 'value'],
+            properties: { label: { type: 'string' }, value: { type: 'string' } },
+          },
+        },
+      },
+    }),
+    instructions: () => 'Return a JSON object with "facts": an array of {"label", "value"} pairs for the concrete facts in the content (figures, dates, names, amounts, deadlines). Values are strings.',
+    render: data => data.facts.map(f => `- **${f.label}:** ${f.value}`).join('\n'),
+  },
+};
+
+export const FORMAT_NAMES = ['text', ...Object.keys(FORMATS)];
+
+export class FormatError extends Error {
+  constructor(message, { errors, raw } = {}) {
+    super(message);
+    this.name = 'FormatError';
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+/**
+ * Turn the request's `format` (and `bulletCount`) into a format descriptor.
+ * Throws a FormatError with a client-facing message for unknown values.
+ */
+export function parseFormat(name, { bulletCount } = {}) {
+  const key = name || 'text';
+  if (!FORMAT_NAMES.includes(key)) {
+    throw new FormatError(`Invalid format. Use one of: ${FORMAT_NAMES.join(', ')}`);
+  }
+
+  const count = bulletCount == null || bulletCount === '' ? DEFAULT_BULLETS : Number(bulletCount);
+  if (key === 'bullets' && (!Number.isInteger(count) || count < 1 || count > 20)) {
+    throw new FormatError('bulletCount must be a whole number between 1 and 20');
+  }
+  return { name: key, count };
+}
+
+// Models like to wrap JSON in ```json fences even when told not to
+function parseJson(text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
+}
+
+/**
+ * Ask for a structured reply in `format` (not "text"). The format's
+ * instructions are appended to the system message.
+ *
+ * Resolves to { data, reply, attempts } where `reply` is a markdown rendering
+ * of `data` for clients that only show text. Throws FormatError when the model
+ * never produced valid output.
+ */
+export async function completeStructured(route, { messages, format }) {
+  const spec = FORMATS[format.name];
+  const schema = spec.schema(format);
+  const instructions = `${spec.instructions(format)} Reply with the JSON object only, no markdown fences or commentary.`;
+
+  const conversation = messages.some(m => m.role === 'system')
+    ? messages.map(m => (m.role === 'system' ? { ...m, content: `${m.content}\n\n${instructions}` } : m))
+    : [{ role: 'system', content: instructions }, ...messages];
+
+  let lastErrors = [];
+  let lastText = '';
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const { text } = await complete(route, { messages: conversation, responseFormat: { type: 'json_object' } });
+    lastText = text;
+
+    let data;
+    try {
+      data = parseJson(text);
+      lastErrors = validateSchema(schema, data);
+    } catch (err) {
+      lastErrors = [`reply is not valid JSON (${err.message})`];
+    }
+
+    if (!lastErrors.length) return { data, reply: spec.render(data), attempts: attempt };
+
+    console.log(`Structured output attempt ${attempt} for ${format.name} failed: ${lastErrors.join('; ')}`);
+    conversation.push(
+      { role: 'assistant', content: text },
+      { role: 'user', content: `That reply was not valid: ${lastErrors.join('; ')}. ${instructions}` }
+    );
+  }
+
+  throw new FormatError(`Model did not return valid ${format.name} output`, { errors: lastErrors, raw: lastText });
+}
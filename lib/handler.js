@@ -0,0 +1,110 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { checkIpLimit } from './limits.js';
+import { applyCors } from './cors.js';
+import { ApiError, toApiError } from './errors.js';
+
+// Shared wrapper for every function in api/. It keeps a per-request context
+// (route, request id, client IP, signed-in user, model calls made so far) that
+// code deep in lib/ can read without threading `req` through, applies the CORS
+// policy (lib/cors.js) and the per-IP rate limit, and turns anything a handler
+// throws into the standard error envelope (lib/errors.js).
+
+const storage = new AsyncLocalStorage();
+
+export function requestContext() {
+  return storage.getStore() || null;
+}
+
+// How many proxies in front of the server append to X-Forwarded-For. Anyone
+// can send the header, so it's only read when TRUST_PROXY says there are
+// proxies (a count, or "true" for one). On Vercel, which overwrites the header
+// with the client's address, it defaults to 1; elsewhere to none.
+function trustedProxies() {
+  const value = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : '');
+  if (value === 'true') return 1;
+  const count = Number(value);
+  return Number.isInteger(count) && count > 0 ? count : 0;
+}
+
+/**
+ * The client's address: the socket's peer, or with TRUST_PROXY the address
+ * the outermost trusted proxy saw (counting X-Forwarded-For from the right,
+ * since each proxy appends the address it was called from).
+ */
+export function clientIp(req) {
+  const hops = trustedProxies();
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (hops && forwarded) {
+    const addresses = String(forwarded).split(',').map(address => address.trim()).filter(Boolean);
+    if (addresses.length) return addresses[Math.max(0, addresses.length - hops)];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+// Reuse the caller's (or proxy's) id so one request can be followed across systems
+function requestId(req) {
+  const incoming = req.headers?.['x-request-id'];
+  return typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * The JSON body for an error: { code, message, retryable, requestId, details? }.
+ * Also used for the `error` event of streamed responses.
+ */
+export function errorBody(err) {
+  const error = toApiError(err);
+  return {
+    code: error.code,
+    message: error.message,
+    retryable: error.retryable,
+    requestId: requestContext()?.requestId || null,
+    ...(error.retryAfterSec != null && { retryAfter: error.retryAfterSec }),
+    ...(error.details !== undefined && { details: error.details }),
+  };
+}
+
+/**
+ * Answer with the error envelope { error: { code, message, ... } }. Server-side
+ * failures are logged with the request id; the client only sees the mapped message.
+ */
+export function sendError(res, err) {
+  const error = toApiError(err);
+  const context = requestContext();
+  if (error.status >= 500) console.error(`[${context?.requestId}] ${context?.route} failed:`, err);
+
+  if (res.headersSent) {
+    if (!res.writableEnded) res.end();
+    return;
+  }
+  if (error.retryAfterSec != null) res.setHeader('Retry-After', String(error.retryAfterSec));
+  res.status(error.status).json({ error: errorBody(error) });
+}
+
+/**
+ * export default withRequest("chat2", async function handler(req, res) { ... });
+ *
+ * `methods` lists what the handler implements (default POST); anything else
+ * gets a 405 and OPTIONS never reaches the handler. Handlers can throw an
+ * ApiError (or let provider errors propagate) instead of answering errors
+ * themselves. `rateLimit: false` skips the per-IP limit (health probes).
+ */
+export function withRequest(route, handler, { methods = ['POST'], rateLimit = true } = {}) {
+  return (req, res) => {
+    const context = { route, requestId: requestId(req), ip: clientIp(req), user: null, calls: [] };
+    res.setHeader('X-Request-Id', context.requestId);
+    return storage.run(context, async () => {
+      try {
+        if (!applyCors(req, res, methods)) return;
+        if (rateLimit && !(await checkIpLimit(context.ip, res))) return;
+        if (!methods.includes(req.method)) {
+          res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+          throw new ApiError(405, 'method_not_allowed', `Method not allowed. Use ${methods.join(' or ')}.`);
+        }
+        return await handler(req, res);
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+  };
+}
@@ -0,0 +1,77 @@
+import { getStore } from './store.js';
+import { routeNames } from './config.js';
+import { resolveRoute } from './providers/index.js';
+import { assertSessionSecret } from './auth.js';
+
+// Liveness and readiness for api/health.js and api/ready.js. Ready means this
+// instance can actually serve: the stores answer, every route's provider has
+// what it needs, and (on the standalone server) it isn't shutting down.
+
+const startedAt = Date.now();
+let draining = false;
+
+/**
+ * Called by server.js on SIGTERM/SIGINT so load balancers stop sending new
+ * requests while in-flight ones finish.
+ */
+export function startDraining() {
+  draining = true;
+}
+
+export function isDraining() {
+  return draining;
+}
+
+export function liveness() {
+  return { status: 'ok', uptimeSec: Math.floor((Date.now() - startedAt) / 1000) };
+}
+
+async function checkStore() {
+  const store = getStore('health');
+  const probe = { at: Date.now() };
+  await store.set('probe', probe, { ttlMs: 60 * 1000 });
+  const back = await store.get('probe');
+  if (back?.at !== probe.at) throw new Error('store did not return what was written');
+}
+
+// Route -> provider, for every route whose provider can't be used
+function unconfiguredRoutes() {
+  const missing = {};
+  for (const route of routeNames()) {
+    try {
+      const { provider, backend } = resolveRoute(route);
+      if (!backend.isConfigured()) missing[route] = provider;
+    } catch (err) {
+      missing[route] = err.message;
+    }
+  }
+  return missing;
+}
+
+async function timed(check) {
+  const started = Date.now();
+  try {
+    const details = await check();
+    return { ok: true, latencyMs: Date.now() - started, ...(details && { details }) };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - started, error: err.message };
+  }
+}
+
+/**
+ * Resolves to { ready, checks: { name: { ok, latencyMs, error?, details? } } }.
+ */
+export async function readiness() {
+  const checks = {
+    draining: { ok: !draining },
+    store: await timed(checkStore),
+    session: await timed(() => assertSessionSecret()),
+    providers: await timed(() => {
+      const missing = unconfiguredRoutes();
+      if (Object.keys(missing).length) {
+        throw new Error(`not configured: ${Object.entries(missing).map(([route, provider]) => `${route} (${provider})`).join(', ')}`);
+      }
+    }),
+  };
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+}
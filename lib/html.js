@@ -0,0 +1,524 @@
+// Main-content extraction for web pages: what api/webpage.js summarizes and
+// what processFile() (lib/extract.js) reads from uploaded .html files.
+//
+// The page is parsed into a small tree (tolerant of the usual broken markup),
+// scripts, navigation, ads and other boilerplate are dropped, and the element
+// holding the article is picked: a schema.org articleBody, <article> or <main>
+// when the page marks one, otherwise the block with the most paragraph text
+// (the approach of Mozilla's Readability). It's rendered as Markdown-style text
+// so headings, lists and tables survive into the prompt.
+
+const VOID = new Set('area base br col embed hr img input link meta param source track wbr'.split(' '));
+// Contents are text, not markup
+const RAW_TEXT = new Set(['script', 'style', 'noscript', 'template', 'textarea', 'title']);
+
+// Deeper elements are kept flat: unclosed tags shouldn't nest without end
+const MAX_DEPTH = 256;
+
+const BLOCK = new Set((
+  'address article aside blockquote body dd details div dl dt fieldset figcaption figure footer form ' +
+  'h1 h2 h3 h4 h5 h6 header hr html li main nav ol p pre section summary table tbody td tfoot th thead tr ul'
+).split(' '));
+
+// Never content
+const DROP = new Set((
+  'script style noscript template svg math iframe object embed canvas video audio map ' +
+  'form button input select textarea label nav aside footer dialog head link meta'
+).split(' '));
+const DROP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alert', 'menu', 'menubar']);
+
+// class/id words that mark boilerplate, matched against their - and _ separated parts
+const UNLIKELY = new Set((
+  'ad ads adsense advert advertisement banner breadcrumb breadcrumbs comment comments consent cookie cookies ' +
+  'disqus masthead menu modal nav navbar navigation newsletter outbrain pagination paywall popup promo ' +
+  'promoted related share sharing sidebar skip social sponsor sponsored subscribe subscription taboola ' +
+  'toolbar widget'
+).split(' '));
+// ...unless another part says it's the content
+const LIKELY = new Set('article articlebody body content entry main post story text'.split(' '));
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  copy: '©', reg: '®', trade: '™', deg: '°', euro: '€', pound: '£', times: '×', shy: '',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  for (const [, name, double, single, bare] of text.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attrs[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? '');
+  }
+  return attrs;
+}
+
+// Tags an opening tag implicitly closes, and where the search for them stops
+const IMPLIED_END = {
+  li: [['li'], ['ul', 'ol']],
+  dt: [['dt', 'dd'], ['dl']],
+  dd: [['dt', 'dd'], ['dl']],
+  tr: [['tr', 'td', 'th'], ['table', 'thead', 'tbody', 'tfoot']],
+  td: [['td', 'th'], ['tr', 'table']],
+  th: [['td', 'th'], ['tr', 'table']],
+  thead: [['thead', 'tbody', 'tr', 'td', 'th'], ['table']],
+  tbody: [['thead', 'tbody', 'tr', 'td', 'th'], ['table']],
+  option: [['option'], ['select']],
+};
+
+/**
+ * Parse HTML into { tag, attrs, children } elements and { text } nodes, under
+ * a root with tag "#document".
+ */
+export function parseHtml(html) {
+  const root = { tag: '#document', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const closeTo = index => stack.splice(index);
+  const addText = text => {
+    if (!text) return;
+    const last = top().children.at(-1);
+    if (last && !last.tag) last.text += decodeEntities(text);
+    else top().children.push({ text: decodeEntities(text) });
+  };
+
+  // Every branch moves `i` past what it read, so each character is scanned
+  // once; a tag or comment left open at the end drops the rest, as browsers do
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) {
+      addText(html.slice(i));
+      break;
+    }
+    addText(html.slice(i, lt));
+    i = lt;
+
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      if (end === -1) break;
+      i = end + 3;
+      continue;
+    }
+    if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+      const end = html.indexOf('>', i);
+      if (end === -1) break;
+      i = end + 1;
+      continue;
+    }
+
+    const closing = html[i + 1] === '/';
+    const name = /^[a-zA-Z][\w:-]*/.exec(html.slice(i + (closing ? 2 : 1), i + 100))?.[0];
+    if (!name) {
+      // A "<" that starts no tag is text
+      const next = html.indexOf('<', i + 1);
+      addText(html.slice(i, next === -1 ? html.length : next));
+      i = next === -1 ? html.length : next;
+      continue;
+    }
+    const tag = name.toLowerCase();
+    const end = closing ? html.indexOf('>', i) : tagEnd(html, i + 1 + name.length);
+    if (end === -1) break;
+
+    if (closing) {
+      const index = stack.findLastIndex(node => node.tag === tag);
+      if (index > 0) closeTo(index);
+      i = end + 1;
+      continue;
+    }
+
+    const inside = html.slice(i + 1 + name.length, end).trimEnd();
+    const selfClosing = inside.endsWith('/');
+    const attrs = parseAttributes(selfClosing ? inside.slice(0, -1) : inside);
+    i = end + 1;
+
+    if (BLOCK.has(tag)) {
+      // A block closes an open paragraph, along with any inline tags left open in it
+      const index = stack.findLastIndex(node => BLOCK.has(node.tag));
+      if (index > 0 && stack[index].tag === 'p') closeTo(index);
+    }
+    if (IMPLIED_END[tag]) {
+      const [closes, stops] = IMPLIED_END[tag];
+      for (let index = stack.length - 1; index > 0 && !stops.includes(stack[index].tag); index--) {
+        if (closes.includes(stack[index].tag)) {
+          closeTo(index);
+          break;
+        }
+      }
+    }
+
+    const node = { tag, attrs, children: [], parent: top() };
+    top().children.push(node);
+    if (RAW_TEXT.has(tag)) {
+      const closePattern = new RegExp(`</${tag}`, 'gi');
+      closePattern.lastIndex = i;
+      const close = closePattern.exec(html)?.index ?? -1;
+      const text = html.slice(i, close === -1 ? html.length : close);
+      node.children.push({ text: tag === 'title' || tag === 'textarea' ? decodeEntities(text) : text });
+      i = close === -1 ? html.length : html.indexOf('>', close) + 1 || html.length;
+    } else if (!VOID.has(tag) && !selfClosing && stack.length < MAX_DEPTH) {
+      stack.push(node);
+    }
+  }
+  return root;
+}
+
+// Index of the ">" ending the tag whose attributes start at `from`, skipping
+// quoted values; -1 when there is none
+function tagEnd(html, from) {
+  let quote = null;
+  for (let i = from; i < html.length; i++) {
+    const char = html[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Descendant elements in document order
+function* elements(node) {
+  const pending = [...node.children].reverse();
+  while (pending.length) {
+    const child = pending.pop();
+    if (!child.tag) continue;
+    yield child;
+    for (let i = child.children.length - 1; i >= 0; i--) pending.push(child.children[i]);
+  }
+}
+
+function find(node, test) {
+  for (const element of elements(node)) if (test(element)) return element;
+  return null;
+}
+
+function textOf(node) {
+  if (!node.tag) return node.text;
+  return node.children.map(textOf).join('');
+}
+
+const squash = text => text.replace(/\s+/g, ' ').trim();
+
+// Text length (whitespace collapsed), commas and link text length of a node,
+// computed once per node: scoring and rendering ask at every level of nesting.
+// clean() forgets the nodes it visits, since it changes what they hold.
+const measures = new WeakMap();
+
+function measure(node) {
+  if (!node.tag) {
+    const text = node.text.replace(/\s+/g, ' ');
+    return { length: text.trim() ? text.length : 0, commas: (text.match(/,/g) || []).length, links: 0 };
+  }
+  let result = measures.get(node);
+  if (!result) {
+    result = { length: 0, commas: 0, links: 0 };
+    for (const child of node.children) {
+      const { length, commas, links } = measure(child);
+      result.length += length;
+      result.commas += commas;
+      result.links += links;
+    }
+    if (node.tag === 'a') result.links = result.length;
+    measures.set(node, result);
+  }
+  return result;
+}
+
+// --- metadata ---
+
+function metaTags(root) {
+  const meta = {};
+  for (const element of elements(root)) {
+    if (element.tag !== 'meta') continue;
+    const key = (element.attrs.property || element.attrs.name || element.attrs.itemprop || '').toLowerCase();
+    if (key && element.attrs.content && !(key in meta)) meta[key] = element.attrs.content.trim();
+  }
+  return meta;
+}
+
+// schema.org Article data from <script type="application/ld+json">
+function linkedData(root) {
+  const items = [];
+  for (const element of elements(root)) {
+    if (element.tag !== 'script' || !/ld\+json/i.test(element.attrs.type || '')) continue;
+    try {
+      const data = JSON.parse(textOf(element));
+      for (const item of [data].flat()) items.push(item, ...[item?.['@graph'] || []].flat());
+    } catch (err) {
+      // Broken JSON-LD is common; the meta tags usually say the same
+    }
+  }
+  return items.find(item => item && (item.datePublished || item.author) && /Article|Posting|Report|WebPage/.test([item['@type']].flat().join(' '))) || {};
+}
+
+function personName(value) {
+  const first = [value].flat()[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.name || null;
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+function pageMetadata(root, url) {
+  const meta = metaTags(root);
+  const data = linkedData(root);
+  const titleElement = find(root, element => element.tag === 'title');
+  const h1 = find(root, element => element.tag === 'h1');
+  const authorLink = find(root, element => element.attrs.rel === 'author' || /(^|\s)(byline|author)(\s|$)/i.test(element.attrs.class || ''));
+  const time = find(root, element => element.tag === 'time' && element.attrs.datetime);
+  const canonical = find(root, element => element.tag === 'link' && element.attrs.rel === 'canonical');
+  const html = find(root, element => element.tag === 'html');
+  const bylineText = authorLink ? squash(textOf(authorLink)).replace(/^by\s+/i, '') : '';
+
+  return {
+    title: squash(meta['og:title'] || meta['twitter:title'] || data.headline || (titleElement && textOf(titleElement)) || (h1 && textOf(h1)) || '') || null,
+    author: meta.author || personName(data.author)
+      || (meta['article:author'] && !/^https?:/.test(meta['article:author']) ? meta['article:author'] : null)
+      || (bylineText && bylineText.length <= 100 ? bylineText : null),
+    date: isoDate(meta['article:published_time'] || meta['og:published_time'] || meta.datepublished || meta.date
+      || meta.pubdate || meta['dc.date'] || meta['dcterms.created'] || data.datePublished || time?.attrs.datetime),
+    siteName: meta['og:site_name'] || null,
+    description: meta['og:description'] || meta.description || null,
+    lang: html?.attrs.lang || null,
+    url: url || canonical?.attrs.href || meta['og:url'] || null,
+  };
+}
+
+// --- cleaning and picking the content ---
+
+function isBoilerplate(element, insideArticle) {
+  if (DROP.has(element.tag)) return true;
+  if (element.tag === 'header' && !insideArticle) return true;
+  const { attrs } = element;
+  if (DROP_ROLES.has(attrs.role) || attrs['aria-hidden'] === 'true' || 'hidden' in attrs) return true;
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(attrs.style || '')) return true;
+  if (['html', 'body', 'main', 'article'].includes(element.tag)) return false;
+
+  const words = `${attrs.class || ''} ${attrs.id || ''}`.toLowerCase().split(/[\s_-]+/).filter(Boolean);
+  return words.some(word => UNLIKELY.has(word)) && !words.some(word => LIKELY.has(word));
+}
+
+function clean(node, insideArticle = false) {
+  measures.delete(node);
+  const inside = insideArticle || node.tag === 'article' || node.tag === 'main';
+  node.children = node.children.filter(child => !child.tag || !isBoilerplate(child, inside));
+  for (const child of node.children) {
+    if (child.tag) clean(child, inside);
+  }
+}
+
+function linkDensity(element) {
+  const { length, links } = measure(element);
+  return length ? links / length : 1;
+}
+
+function mainElement(root) {
+  const body = find(root, element => element.tag === 'body') || root;
+  const long = element => measure(element).length >= 200;
+
+  const marked = find(body, element => element.attrs.itemprop === 'articleBody');
+  if (marked && long(marked)) return marked;
+
+  const articles = [...elements(body)].filter(element => element.tag === 'article' && long(element));
+  if (articles.length) {
+    return articles.reduce((best, element) => (measure(element).length > measure(best).length ? element : best));
+  }
+
+  const main = find(body, element => element.tag === 'main' || element.attrs.role === 'main');
+  if (main && long(main)) return main;
+
+  // Score the parents of paragraphs by how much prose they hold
+  const scores = new Map();
+  for (const element of elements(body)) {
+    if (!['p', 'pre', 'blockquote'].includes(element.tag)) continue;
+    const { length, commas } = measure(element);
+    if (length < 25) continue;
+    const score = 1 + commas + Math.min(3, Math.floor(length / 100));
+    const parent = element.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (parent?.parent) scores.set(parent.parent, (scores.get(parent.parent) || 0) + score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity(element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  }
+  return best && best.tag !== '#document' ? best : body;
+}
+
+// --- rendering ---
+
+function inlineText(node) {
+  const parts = [];
+  const walk = current => {
+    if (!current.tag) {
+      parts.push(current.text.replace(/\s+/g, ' '));
+    } else if (current.tag === 'br') {
+      parts.push('\n');
+    } else {
+      if (BLOCK.has(current.tag)) parts.push(' ');
+      current.children.forEach(walk);
+      if (BLOCK.has(current.tag)) parts.push(' ');
+    }
+  };
+  node.children.forEach(walk);
+  return parts.join('').split('\n').map(line => line.replace(/ {2,}/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+const withBlocks = new WeakMap();
+
+function hasBlocks(node) {
+  if (!withBlocks.has(node)) {
+    withBlocks.set(node, node.children.some(child => child.tag && (BLOCK.has(child.tag) || hasBlocks(child))));
+  }
+  return withBlocks.get(node);
+}
+
+function renderList(list) {
+  const ordered = list.tag === 'ol';
+  const lines = [];
+  let number = Number(list.attrs.start) || 1;
+  for (const item of list.children) {
+    if (!item.tag) continue;
+    const content = item.tag === 'li' ? renderBlocks(item).join('\n') : renderBlock(item).join('\n');
+    if (!content) continue;
+    const marker = ordered && item.tag === 'li' ? `${number++}. ` : '- ';
+    const [first, ...rest] = content.split('\n');
+    lines.push(marker + first, ...rest.map(line => `  ${line}`));
+  }
+  return lines.length ? [lines.join('\n')] : [];
+}
+
+function renderTable(table) {
+  const rows = [...elements(table)].filter(element => element.tag === 'tr');
+  // Tables used for page layout hold blocks, not data
+  if (!rows.length || find(table, element => element.tag === 'table')
+    || rows.some(row => row.children.some(cell => cell.tag && measure(cell).length > 400))) {
+    return renderBlocks(table);
+  }
+
+  const cells = rows
+    .map(row => row.children.filter(cell => cell.tag === 'td' || cell.tag === 'th')
+      .map(cell => inlineText(cell).replace(/\n/g, ' ').replace(/\|/g, '\\|')))
+    .filter(row => row.some(Boolean));
+  if (!cells.length) return [];
+
+  const width = Math.max(...cells.map(row => row.length));
+  const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+  const caption = find(table, element => element.tag === 'caption');
+  return [[
+    ...(caption ? [squash(textOf(caption))] : []),
+    line(cells[0]),
+    line(Array(width).fill('---')),
+    ...cells.slice(1).map(line),
+  ].join('\n')];
+}
+
+function renderBlock(element) {
+  const { tag } = element;
+  if (/^h[1-6]$/.test(tag)) {
+    const text = squash(textOf(element));
+    return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+  }
+  if (tag === 'ul' || tag === 'ol') return renderList(element);
+  if (tag === 'table') return renderTable(element);
+  if (tag === 'pre') {
+    const text = textOf(element).replace(/^\n+|\s+$/g, '');
+    return text ? ['```\n' + text + '\n```'] : [];
+  }
+  if (tag === 'blockquote') {
+    const text = renderBlocks(element).join('\n\n');
+    return text ? [text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')] : [];
+  }
+  if (tag === 'hr') return [];
+  if (tag === 'dt') {
+    const text = inlineText(element);
+    return text ? [`**${text}**`] : [];
+  }
+  if (!hasBlocks(element)) {
+    const text = inlineText(element);
+    return text ? [text] : [];
+  }
+  return renderBlocks(element);
+}
+
+// Block children rendered in order; runs of inline content become paragraphs
+function renderBlocks(node) {
+  const blocks = [];
+  let inline = { tag: '#inline', attrs: {}, children: [] };
+  const flush = () => {
+    const text = inlineText(inline);
+    if (text) blocks.push(text);
+    inline = { tag: '#inline', attrs: {}, children: [] };
+  };
+
+  for (const child of node.children) {
+    if (child.tag && (BLOCK.has(child.tag) || hasBlocks(child))) {
+      flush();
+      for (const block of BLOCK.has(child.tag) ? renderBlock(child) : renderBlocks(child)) blocks.push(block);
+    } else {
+      inline.children.push(child);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Pull the main content and metadata out of a page. `url` is where it came
+ * from, when known. Returns { title, author, date, siteName, description,
+ * lang, url, content, words, headings, tables }; `content` is "" when nothing
+ * readable was found.
+ */
+export function extractArticle(html, { url } = {}) {
+  const root = parseHtml(String(html));
+  const metadata = pageMetadata(root, url);
+
+  clean(root);
+  const main = mainElement(root);
+  const content = renderBlocks(main).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    ...metadata,
+    content,
+    words: content ? content.split(/\s+/).length : 0,
+    headings: (content.match(/^#{1,6} /gm) || []).length,
+    tables: (content.match(/^\| ---/gm) || []).length,
+  };
+}
+
+/**
+ * The article as prompt text: a short header of whatever metadata was found,
+ * then the content.
+ */
+export function formatArticle(article) {
+  const header = [
+    article.title && `Title: ${article.title}`,
+    article.author && `Author: ${article.author}`,
+    article.date && `Published: ${article.date}`,
+    article.siteName && `Site: ${article.siteName}`,
+    article.url && `Source: ${article.url}`,
+  ].filter(Boolean);
+  return header.length ? `${header.join('\n')}\n\n${article.content}` : article.content;
+}
@@ -0,0 +1,54 @@
+import sharp from 'sharp';
+import { IMAGE_TYPES } from './uploads.js';
+
+// Getting images into a shape the vision models take. Anything bigger than
+// VISION_MAX_DIMENSION px on its long side (default 2048, what OpenAI scales
+// down to anyway) or VISION_MAX_BYTES (default 1.5 MB) is downscaled and
+// re-encoded, as are types the models don't read (BMP, TIFF). Small JPEG, PNG,
+// WebP and GIF images go through untouched.
+
+const JPEG_QUALITY = 85;
+
+function maxDimension() {
+  return Number(process.env.VISION_MAX_DIMENSION) || 2048;
+}
+
+function maxBytes() {
+  return Number(process.env.VISION_MAX_BYTES) || 1.5 * 1024 * 1024;
+}
+
+/**
+ * Prepare an image upload for a vision request. `mime` is its sniffed type
+ * (lib/uploads.js). Resolves to { dataUrl, mime, width, height, bytes, resized }.
+ */
+export async function prepareImage(buffer, mime) {
+  // .rotate() applies the EXIF orientation, which re-encoding would otherwise lose
+  const image = sharp(buffer, { failOn: 'none' }).rotate();
+  const { width, height, hasAlpha, orientation } = await image.metadata();
+  const limit = maxDimension();
+  const oversized = Math.max(width || 0, height || 0) > limit;
+
+  if (IMAGE_TYPES.includes(mime) && !oversized && buffer.length <= maxBytes() && !(orientation > 1)) {
+    return { dataUrl: toDataUrl(buffer, mime), mime, width, height, bytes: buffer.length, resized: false };
+  }
+
+  if (oversized) image.resize({ width: limit, height: limit, fit: 'inside', withoutEnlargement: true });
+  // Keep transparency (diagrams, screenshots); everything else is smaller as JPEG
+  const output = hasAlpha
+    ? { mime: 'image/png', data: await image.png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true }) }
+    : { mime: 'image/jpeg', data: await image.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer({ resolveWithObject: true }) };
+
+  const { data, info } = output.data;
+  return {
+    dataUrl: toDataUrl(data, output.mime),
+    mime: output.mime,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+    resized: true,
+  };
+}
+
+function toDataUrl(buffer, mime) {
+  return `data:${mime};base64,${buffer.toString('base64')}`;
+}
@@ -0,0 +1,220 @@
+import { badRequest } from './errors.js';
+import { complete } from './providers/index.js';
+
+// Output language for the summary routes, and a small local detector for the
+// source language so asking for it costs no model call.
+//
+// Requests take `targetLanguage` (an ISO 639-1 code such as "de", a tag such
+// as "pt-BR", or an English name such as "German") and `detectLanguage`
+// (default false). With detection on, the source language is detected from the
+// text, reported as `detectedLanguage` and the reply is written in it unless
+// `targetLanguage` says otherwise.
+
+export const LANGUAGES = {
+  ar: 'Arabic',
+  bn: 'Bengali',
+  cs: 'Czech',
+  da: 'Danish',
+  de: 'German',
+  el: 'Greek',
+  en: 'English',
+  es: 'Spanish',
+  fa: 'Persian',
+  fi: 'Finnish',
+  fr: 'French',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  hu: 'Hungarian',
+  id: 'Indonesian',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  nl: 'Dutch',
+  no: 'Norwegian',
+  pl: 'Polish',
+  pt: 'Portuguese',
+  ro: 'Romanian',
+  ru: 'Russian',
+  sv: 'Swedish',
+  th: 'Thai',
+  tr: 'Turkish',
+  uk: 'Ukrainian',
+  ur: 'Urdu',
+  vi: 'Vietnamese',
+  zh: 'Chinese',
+};
+
+/**
+ * Resolve a `targetLanguage` value to { code, name }. Throws a 400 for
+ * anything not in LANGUAGES.
+ */
+export function parseLanguage(value) {
+  const input = String(value).trim();
+  const [base, region] = input.split(/[-_]/);
+  const code = LANGUAGES[base.toLowerCase()]
+    ? base.toLowerCase()
+    : Object.keys(LANGUAGES).find(key => LANGUAGES[key].toLowerCase() === input.toLowerCase());
+  if (!code) {
+    throw badRequest(`Unsupported targetLanguage "${input}". Use an ISO 639-1 code or name: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  if (region && code === base.toLowerCase()) {
+    return { code: `${code}-${region.toUpperCase()}`, name: `${LANGUAGES[code]} (${region.toUpperCase()})` };
+  }
+  return { code, name: LANGUAGES[code] };
+}
+
+// Non-Latin scripts mostly name their language outright
+const SCRIPTS = [
+  ['ja', /[\u3040-\u30ff]/g],
+  ['ko', /[\uac00-\ud7af\u1100-\u11ff]/g],
+  ['zh', /[\u4e00-\u9fff]/g],
+  ['arabic', /[\u0600-\u06ff]/g],
+  ['he', /[\u0590-\u05ff]/g],
+  ['cyrillic', /[\u0400-\u04ff]/g],
+  ['el', /[\u0370-\u03ff]/g],
+  ['hi', /[\u0900-\u097f]/g],
+  ['bn', /[\u0980-\u09ff]/g],
+  ['th', /[\u0e00-\u0e7f]/g],
+  ['latin', /[a-zA-Z\u00c0-\u024f]/g],
+];
+
+// The commonest short words of each Latin-script language
+const STOPWORDS = {
+  en: 'the and of to in is that it for was on are with as this be by not have from at',
+  es: 'el la de que y en los se del las un por con no una su para es al lo como',
+  fr: 'le la les de des et est un une que qui dans pour pas sur au du avec ce il',
+  de: 'der die das und ist nicht ein eine zu den mit von sich auf für dem des im auch',
+  it: 'il di che la e per un una non sono del della con si lo gli le da nel anche',
+  pt: 'o a de que e do da em um uma para com não os no se na por mais as',
+  nl: 'de het een en van is dat niet op te in met voor zijn er aan ook als maar',
+  pl: 'i w nie na się z do jest to że o jak ale po co tak za od są',
+  sv: 'och att det som en på är av för med till den inte har de om ett men',
+  da: 'og at det en den til er som på de med af for ikke der har et var',
+  no: 'og i det er som på en til av for ikke med har de at den var jeg',
+  fi: 'ja on ei se että oli ovat mutta myös kun hän tai joka sen niin kuin',
+  cs: 'a je se na v to že s z do o jako ale by jsou pro tak není',
+  ro: 'și de la în a cu nu care pe din o un este să mai ce pentru',
+  hu: 'a az és hogy nem is egy van meg de ez már csak mint volt vagy',
+  tr: 've bir bu da de için ile ne çok daha olarak gibi ama en var mı',
+  id: 'dan yang di ini itu dengan untuk tidak dari dalam akan ada pada juga adalah',
+  vi: 'và của là có không được cho các những này một người với trong đã',
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))]));
+
+// Enough text to be sure, without scanning a whole book
+const SAMPLE_CHARS = 5000;
+
+// Below this a guess is reported but not acted on (ties between languages
+// that share short words land around 0.4)
+export const MIN_CONFIDENCE = 0.5;
+
+function result(code, confidence) {
+  return { code, name: LANGUAGES[code], confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100 };
+}
+
+function detectLatin(text) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (!words.length) return null;
+
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([code, set]) => [code, words.filter(word => set.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, second]] = scores;
+  if (!top) return null;
+  // How much the winner stands out, and how much of the text it explains
+  const margin = (top - second) / top;
+  const coverage = Math.min(1, (top / words.length) * 4);
+  return result(best, margin * 0.6 + coverage * 0.4);
+}
+
+/**
+ * Best guess at the language of `text`: { code, name, confidence } with
+ * confidence from 0 to 1, or null when there is nothing to go on.
+ */
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const counts = SCRIPTS.map(([script, pattern]) => [script, (sample.match(pattern) || []).length]);
+  const letters = counts.reduce((sum, [, count]) => sum + count, 0);
+  if (!letters) return null;
+
+  // Kana marks Japanese even though most of the characters may be kanji
+  const japanese = counts.find(([script]) => script === 'ja')[1];
+  if (japanese / letters > 0.1) return result('ja', 0.9);
+
+  const [script, count] = counts.sort((a, b) => b[1] - a[1])[0];
+  const share = count / letters;
+  switch (script) {
+    case 'latin':
+      return detectLatin(sample);
+    case 'cyrillic':
+      return result(/[\u0456\u0457\u0454\u0491]/i.test(sample) ? 'uk' : 'ru', share * 0.9);
+    case 'arabic':
+      if (/[\u0679\u0688\u0691\u06ba\u06d2]/.test(sample)) return result('ur', share * 0.9);
+      if (/[\u067e\u0686\u0698\u06af]/.test(sample)) return result('fa', share * 0.8);
+      return result('ar', share * 0.9);
+    default:
+      return result(script, share);
+  }
+}
+
+/**
+ * Read `targetLanguage` / `detectLanguage` off a request body or form fields
+ * (where they arrive as strings). Resolves to { target, detect }.
+ */
+export function languageOptions({ targetLanguage, detectLanguage: detect }) {
+  return {
+    target: targetLanguage ? parseLanguage(targetLanguage) : null,
+    detect: detect === true || detect === 'true',
+  };
+}
+
+/**
+ * The system prompt addition that pins the reply language, or "" when there's
+ * nothing to say.
+ */
+export function languageInstruction({ target, detected }) {
+  const source = detected && detected.confidence >= MIN_CONFIDENCE ? detected : null;
+  if (target) {
+    return source && source.code !== target.code.split('-')[0]
+      ? ` The content is in ${source.name}. Write your answer in ${target.name}, translating as needed; keep names and quotes recognisable.`
+      : ` Write your answer in ${target.name}.`;
+  }
+  return source ? ` The content is in ${source.name}; write your answer in ${source.name}.` : '';
+}
+
+/**
+ * Translate `text` into `target` ({ code, name }) with the "translate" route.
+ * Used where the summarizer itself can't be told what language to write in.
+ */
+export async function translate(text, target) {
+  const { text: translated } = await complete('translate', {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a translator. Translate the text the user sends into ${target.name}. Reply with the translation only, keeping its formatting.`,
+      },
+      { role: 'user', content: text },
+    ],
+  });
+  return translated.trim();
+}
+
+/**
+ * The language a summarizer's output should end up in: `target` when one was
+ * asked for, else the source's when detection is confident, else null.
+ */
+export function replyLanguage({ target, detected }) {
+  return target || (detected && detected.confidence >= MIN_CONFIDENCE ? detected : null);
+}
+
+/**
+ * `text` in `wanted` ({ code, name }, or null for as is): translated only
+ * when it's confidently detected as another language, so short or unclear
+ * text costs no model call. For summarizers that can't be told what language
+ * to write in, like the Hugging Face Space.
+ */
+export async function ensureLanguage(text, wanted) {
+  const actual = detectLanguage(text);
+  if (!wanted || !actual || actual.confidence < MIN_CONFIDENCE || actual.code === wanted.code.split('-')[0]) return text;
+  return translate(text, wanted);
+}
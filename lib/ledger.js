@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataDir } from './store.js';
+import { requestContext } from './handler.js';
+
+// Append-only ledger of every upstream model call, for cost reporting.
+// One record per call:
+//
+//   { ts, day, requestId, endpoint, route, provider, model, userId, status, httpStatus,
+//     latencyMs, promptTokens, completionTokens, totalTokens, costUsd }
+//
+// `endpoint` is the api/ function that handled the request, `route` the
+// lib/config.js route the call went through (chat.js also calls
+// "history-summary", for instance). `status` is ok, error or aborted.
+//
+// Backends mirror lib/store.js: "file" appends JSON lines to
+// DATA_DIR/ledger/<YYYY-MM-DD>.jsonl, "memory" keeps them in an array. Pick one
+// with STORE_BACKEND_LEDGER or STORE_BACKEND.
+
+export function createMemoryLedger() {
+  const calls = [];
+
+  return {
+    async append(entry) {
+      calls.push(structuredClone(entry));
+    },
+
+    async read({ from, to }) {
+      return calls.filter(call => call.day >= from && call.day <= to).map(call => structuredClone(call));
+    },
+  };
+}
+
+export function createFileLedger(dir) {
+  return {
+    async append(entry) {
+      await fs.mkdir(dir, { recursive: true });
+      // Appends of a single short line don't interleave, so no locking needed
+      await fs.appendFile(path.join(dir, `${entry.day}.jsonl`), JSON.stringify(entry) + '\n');
+    },
+
+    async read({ from, to }) {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      const calls = [];
+      for (const name of names.filter(n => n.endsWith('.jsonl')).sort()) {
+        const day = name.slice(0, -6);
+        if (day < from || day > to) continue;
+        const lines = (await fs.readFile(path.join(dir, name), 'utf8')).split('\n');
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            calls.push(JSON.parse(line));
+          } catch {
+            // Skip a line torn by a crash mid-append rather than the whole day
+          }
+        }
+      }
+      return calls;
+    },
+  };
+}
+
+let ledger = null;
+
+export function getLedger() {
+  if (!ledger) {
+    const backend = process.env.STORE_BACKEND_LEDGER || process.env.STORE_BACKEND || 'file';
+    switch (backend) {
+      case 'memory':
+        ledger = createMemoryLedger();
+        break;
+      case 'file':
+        ledger = createFileLedger(path.join(dataDir(), 'ledger'));
+        break;
+      default:
+        throw new Error(`Unknown STORE_BACKEND: ${backend}`);
+    }
+  }
+  return ledger;
+}
+
+export function setLedger(next) {
+  ledger = next || null;
+}
+
+/**
+ * Record one upstream call. Fills in the endpoint and user from the request
+ * context, logs a one-line summary and adds the call to the context's `calls`
+ * so handlers can report per-request totals.
+ */
+export async function recordCall(call) {
+  const context = requestContext();
+  const now = new Date();
+  const entry = {
+    ts: now.toISOString(),
+    day: now.toISOString().slice(0, 10),
+    requestId: context?.requestId || null,
+    endpoint: context?.route || null,
+    userId: context?.user?.id || null,
+    ...call,
+  };
+
+  console.log(
+    `[ledger] [${context?.requestId || '-'}] ${entry.endpoint || '-'} ${entry.route} ${entry.provider}/${entry.model} ${entry.status}` +
+    `${entry.httpStatus ? ` ${entry.httpStatus}` : ''} ${entry.latencyMs}ms` +
+    ` tokens=${entry.promptTokens}+${entry.completionTokens} cost=$${entry.costUsd.toFixed(6)}`
+  );
+  context?.calls?.push(entry);
+  await getLedger().append(entry);
+  return entry;
+}
+
+/**
+ * Calls between two UTC days (YYYY-MM-DD, inclusive), optionally for one user.
+ */
+export async function readCalls({ from, to, userId } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const calls = await getLedger().read({ from: from || today, to: to || today });
+  return userId ? calls.filter(call => call.userId === userId) : calls;
+}
+
+export const GROUP_FIELDS = ['day', 'endpoint', 'route', 'provider', 'model', 'userId', 'status'];
+
+/**
+ * Sum calls into one row per distinct combination of `groupBy` fields.
+ * Rows come back sorted by those fields.
+ */
+export function aggregateCalls(calls, groupBy) {
+  const groups = new Map();
+
+  for (const call of calls) {
+    const keyFields = Object.fromEntries(groupBy.map(field => [field, call[field] ?? null]));
+    const key = JSON.stringify(keyFields);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ...keyFields,
+        calls: 0,
+        errors: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        costUsd: 0,
+        latencyMs: 0,
+      });
+    }
+    const row = groups.get(key);
+    row.calls += 1;
+    if (call.status !== 'ok') row.errors += 1;
+    row.promptTokens += call.promptTokens || 0;
+    row.completionTokens += call.completionTokens || 0;
+    row.totalTokens += call.totalTokens || 0;
+    row.costUsd += call.costUsd || 0;
+    row.latencyMs += call.latencyMs || 0;
+  }
+
+  const rows = [...groups.values()].map(({ latencyMs, ...row }) => ({
+    ...row,
+    costUsd: Number(row.costUsd.toFixed(6)),
+    avgLatencyMs: row.calls ? Math.round(latencyMs / row.calls) : 0,
+  }));
+  const sortKey = row => groupBy.map(field => String(row[field] ?? '')).join('\u0000');
+  return rows.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,140 @@
+import { getStore } from './store.js';
+import { usageCost } from './config.js';
+import { requestContext, sendError } from './handler.js';
+import { ApiError } from './errors.js';
+
+// Request rate limits and daily usage quotas.
+//
+// Rate limits are sliding windows of RATE_LIMIT_WINDOW_SEC (default 60):
+// RATE_LIMIT_PER_IP (default 30) requests per client IP on every route, and
+// RATE_LIMIT_PER_USER (default 60) per signed-in user. Quotas are per user per
+// UTC day, counted from the `usage` block of each completion:
+// QUOTA_DAILY_TOKENS (default 200000) and QUOTA_DAILY_COST_USD (default 1).
+// They're checked when a request starts and again before every model call, so
+// a request that fans out (lib/mapreduce.js) stops once the quota is spent.
+// Set any limit to 0 to turn it off. State lives in the "ratelimit" and
+// "usage" stores.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function limits() {
+  const number = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+  return {
+    windowSec: number('RATE_LIMIT_WINDOW_SEC', 60),
+    perIp: number('RATE_LIMIT_PER_IP', 30),
+    perUser: number('RATE_LIMIT_PER_USER', 60),
+    dailyTokens: number('QUOTA_DAILY_TOKENS', 200000),
+    dailyCostUsd: number('QUOTA_DAILY_COST_USD', 1),
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilMidnightUtc() {
+  const now = Date.now();
+  return Math.ceil((Math.ceil(now / DAY_MS) * DAY_MS - now) / 1000);
+}
+
+/**
+ * Count a request against `key` if it fits in the window.
+ * Resolves to { allowed, limit, remaining, retryAfterSec }.
+ */
+export async function hitRateLimit(key, limit, windowSec) {
+  if (!limit) return { allowed: true, limit, remaining: Infinity, retryAfterSec: 0 };
+
+  const store = getStore('ratelimit');
+  const now = Date.now();
+  const windowMs = windowSec * 1000;
+  const hits = ((await store.get(key)) || []).filter(t => t > now - windowMs);
+
+  if (hits.length >= limit) {
+    // The window frees up once the oldest hit in it ages out
+    return { allowed: false, limit, remaining: 0, retryAfterSec: Math.max(1, Math.ceil((hits[0] + windowMs - now) / 1000)) };
+  }
+
+  hits.push(now);
+  await store.set(key, hits, { ttlMs: windowMs });
+  return { allowed: true, limit, remaining: limit - hits.length, retryAfterSec: 0 };
+}
+
+export async function peekRateLimit(key, limit, windowSec) {
+  const hits = ((await getStore('ratelimit').get(key)) || []).filter(t => t > Date.now() - windowSec * 1000);
+  return { limit, remaining: limit ? Math.max(0, limit - hits.length) : null, windowSec };
+}
+
+function tooMany(res, code, message, { limit, retryAfterSec }) {
+  if (limit) res.setHeader('X-RateLimit-Limit', String(limit));
+  res.setHeader('X-RateLimit-Remaining', '0');
+  sendError(res, new ApiError(429, code, message, { retryable: true, retryAfterSec }));
+  return false;
+}
+
+/**
+ * Per-IP limit, applied to every route. Resolves to false after answering 429.
+ */
+export async function checkIpLimit(ip, res) {
+  const { perIp, windowSec } = limits();
+  const result = await hitRateLimit(`ip:${ip}`, perIp, windowSec);
+  if (!result.allowed) return tooMany(res, 'rate_limited', 'Too many requests', result);
+  return true;
+}
+
+const emptyUsage = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+
+export async function getDailyUsage(userId, day = today()) {
+  return (await getStore('usage').get(`user:${userId}:${day}`)) || emptyUsage();
+}
+
+function overQuota(usage) {
+  const { dailyTokens, dailyCostUsd } = limits();
+  return Boolean((dailyTokens && usage.totalTokens >= dailyTokens) || (dailyCostUsd && usage.costUsd >= dailyCostUsd));
+}
+
+/**
+ * Per-user rate limit and daily quota. Resolves to false after answering 429.
+ */
+export async function checkUserLimits(user, res, { quota = true } = {}) {
+  const { perUser, windowSec } = limits();
+
+  const rate = await hitRateLimit(`user:${user.id}`, perUser, windowSec);
+  if (!rate.allowed) return tooMany(res, 'rate_limited', 'Too many requests', rate);
+
+  if (!quota) return true;
+  if (overQuota(await getDailyUsage(user.id))) {
+    return tooMany(res, 'quota_exceeded', 'Daily usage quota exceeded', { retryAfterSec: secondsUntilMidnightUtc() });
+  }
+  return true;
+}
+
+/**
+ * Throw a 429 ApiError when the current user's daily quota is spent. Called by
+ * the provider layer before every upstream call; a no-op outside a signed-in
+ * request.
+ */
+export async function checkQuota() {
+  const userId = requestContext()?.user?.id;
+  if (userId && overQuota(await getDailyUsage(userId))) {
+    throw new ApiError(429, 'quota_exceeded', 'Daily usage quota exceeded', { retryable: true, retryAfterSec: secondsUntilMidnightUtc() });
+  }
+}
+
+/**
+ * Add a completion's usage to the current user's daily total. Called by the
+ * provider layer after every upstream call; a no-op outside a signed-in request.
+ */
+export async function recordUsage({ model, usage }) {
+  const userId = requestContext()?.user?.id;
+  if (!userId || !usage) return;
+
+  const key = `user:${userId}:${today()}`;
+  const store = getStore('usage');
+  const total = (await store.get(key)) || emptyUsage();
+  total.requests += 1;
+  total.promptTokens += usage.prompt_tokens || 0;
+  total.completionTokens += usage.completion_tokens || 0;
+  total.totalTokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  total.costUsd += usageCost(model, usage);
+  await store.set(key, total, { ttlMs: 2 * DAY_MS });
+}
@@ -0,0 +1,206 @@
+import { complete } from './providers/index.js';
+import { completeStructured } from './formats.js';
+import { ApiError } from './errors.js';
+
+// Map-reduce summarization for documents that don't fit in one request:
+// split on page (or section) boundaries, summarize each piece, then combine.
+// Every section is a model call, so one request may bring at most
+// SUMMARY_MAX_SECTIONS (default 40) of them; see checkSections().
+
+// Same ceiling detailedsummary.js used to truncate at (roughly 3000-4000 tokens)
+export const CHUNK_CHARS = 12000;
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_SECTIONS = 40;
+
+function sectionLabel({ source, pageStart, pageEnd }) {
+  const from = source ? ` from ${source}` : '';
+  if (!pageStart) return from;
+  return from + (pageStart === pageEnd ? ` (page ${pageStart})` : ` (pages ${pageStart}-${pageEnd})`);
+}
+
+// Split text that is too long on its own: paragraphs first, then whitespace.
+function splitText(text, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    let rest = paragraph;
+    while (rest.length > maxChars) {
+      let cut = rest.lastIndexOf(' ', maxChars);
+      if (cut < maxChars / 2) cut = maxChars;
+      pieces.push(rest.slice(0, cut));
+      rest = rest.slice(cut).trimStart();
+    }
+    current = current ? `${current}\n\n${rest}` : rest;
+  }
+  if (current.trim()) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split a processed file into sections of at most `maxChars`.
+ *
+ * With `pageTexts` (PDFs) whole pages are grouped together and each section
+ * records the page range it covers; a single oversized page is split further.
+ * Plain text is split before headings where possible, otherwise on paragraphs.
+ *
+ * Returns [{ index, text, pageStart, pageEnd }] (page fields null for plain text).
+ */
+export function splitIntoSections({ content, pageTexts }, { maxChars = CHUNK_CHARS } = {}) {
+  const sections = [];
+  const push = (text, pageStart = null, pageEnd = pageStart) => {
+    if (text.trim()) sections.push({ index: sections.length + 1, text: text.trim(), pageStart, pageEnd });
+  };
+
+  if (pageTexts?.length) {
+    let current = null;
+    pageTexts.forEach((pageText, i) => {
+      const page = i + 1;
+      if (pageText.length > maxChars) {
+        if (current) push(current.text, current.pageStart, current.pageEnd);
+        current = null;
+        for (const piece of splitText(pageText, maxChars)) push(piece, page);
+        return;
+      }
+      if (current && current.text.length + pageText.length + 2 > maxChars) {
+        push(current.text, current.pageStart, current.pageEnd);
+        current = null;
+      }
+      current = current
+        ? { ...current, text: `${current.text}\n\n${pageText}`, pageEnd: page }
+        : { text: pageText, pageStart: page, pageEnd: page };
+    });
+    if (current) push(current.text, current.pageStart, current.pageEnd);
+    return sections;
+  }
+
+  // Markdown headings or short all-caps lines start a new section once the current one is half full
+  const headingPattern = /^(#{1,6}\s|[A-Z0-9][A-Z0-9 .:,&-]{2,80}$)/;
+  let current = '';
+  for (const block of content.split(/\n\s*\n/)) {
+    const isHeading = headingPattern.test(block.trim());
+    if (current && (current.length + block.length + 2 > maxChars || (isHeading && current.length > maxChars / 2))) {
+      push(current);
+      current = '';
+    }
+    if (block.length > maxChars) {
+      for (const piece of splitText(block, maxChars)) push(piece);
+      continue;
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  push(current);
+  return sections;
+}
+
+/**
+ * Throw a 413 ApiError when `count` sections are more than one request may
+ * summarize. Routes that split several documents check their total before
+ * the first call; summarizeSections() checks each batch it's given.
+ */
+export function checkSections(count) {
+  const max = Number(process.env.SUMMARY_MAX_SECTIONS) || DEFAULT_MAX_SECTIONS;
+  if (count > max) {
+    throw new ApiError(413, 'input_too_long',
+      `The input is too long to summarize in one request (${count} sections of about ${CHUNK_CHARS} characters, the limit is ${max})`);
+  }
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight; keeps order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Summarize `sections` for `route`: one call per section (bounded by
+ * SUMMARY_CONCURRENCY, default 3), then a final call that combines them using
+ * `system`. If the section summaries are themselves too long they're combined
+ * in rounds first.
+ *
+ * Sections may carry a `source` (file name) when several documents are mixed.
+ * A structured `format` (lib/formats.js) only applies to the final call.
+ *
+ * Returns { reply, data?, sections: [{ index, source, pageStart, pageEnd, summary }] }.
+ */
+export async function summarizeSections(route, sections, { system, request, fileInfo, format }) {
+  checkSections(sections.length);
+  const concurrency = Number(process.env.SUMMARY_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const total = sections.length;
+  const task = request ? `The user asked: ${request}\n\n` : '';
+
+  console.log(`Map-reduce summarization: ${total} sections, concurrency ${concurrency}`);
+
+  const summaries = await mapWithConcurrency(sections, concurrency, async section => {
+    const { text } = await complete(route, {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are summarizing one section of a longer document. Capture its main points, key details, data and conclusions so they can be merged with the summaries of the other sections. Do not add an introduction or mention that this is a partial summary.',
+        },
+        {
+          role: 'user',
+          content: `${task}--- Section ${section.index} of ${total}${sectionLabel(section)} ---\n${section.text}`,
+        },
+      ],
+    });
+    return {
+      index: section.index,
+      source: section.source || null,
+      pageStart: section.pageStart,
+      pageEnd: section.pageEnd,
+      summary: text.trim(),
+    };
+  });
+
+  let parts = summaries.map(s => `### Section ${s.index}${sectionLabel(s)}\n${s.summary}`);
+  while (parts.join('\n\n').length > CHUNK_CHARS && parts.length > 1) {
+    const groups = [];
+    for (const part of parts) {
+      const last = groups[groups.length - 1];
+      if (last && last.join('\n\n').length + part.length + 2 <= CHUNK_CHARS) last.push(part);
+      else groups.push([part]);
+    }
+    // Nothing fits together any more; stop and let the final call cope
+    if (groups.length === parts.length) break;
+    parts = await mapWithConcurrency(groups, concurrency, async group => {
+      const { text } = await complete(route, {
+        messages: [
+          { role: 'system', content: 'Merge these section summaries of one document into a single summary, keeping every important point and the section/page references.' },
+          { role: 'user', content: group.join('\n\n') },
+        ],
+      });
+      return text.trim();
+    });
+  }
+
+  const messages = [
+    { role: 'system', content: system },
+    {
+      role: 'user',
+      content: `${task}The document was too long to send at once, so it was summarized section by section. Combine the section summaries below into one analysis of the whole document.\n\n${fileInfo ? `--- File Information ---\n${fileInfo}\n\n` : ''}--- Section Summaries ---\n${parts.join('\n\n')}`,
+    },
+  ];
+
+  if (format && format.name !== 'text') {
+    const { reply, data } = await completeStructured(route, { messages, format });
+    return { reply, data, sections: summaries };
+  }
+
+  const { text } = await complete(route, { messages });
+  return { reply: text, sections: summaries };
+}
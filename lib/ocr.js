@@ -0,0 +1,146 @@
+import { createWorker } from 'tesseract.js';
+import sharp from 'sharp';
+import { PDFDocument, PDFName, PDFRawStream, decodePDFRawStream } from 'pdf-lib';
+import englishData from '@tesseract.js-data/eng';
+
+// Local OCR with Tesseract (WASM), for uploaded images and PDFs that are only
+// scanned pages. English traineddata ships with the package so nothing is
+// downloaded at runtime; other languages need OCR_LANGS (e.g. "eng+deu") and
+// OCR_LANG_PATH pointing at a directory or URL holding their traineddata.
+
+// OCR is slow; don't let a 300-page scan eat the whole function timeout
+const DEFAULT_MAX_PAGES = 20;
+
+// An A4 page scanned at 600 dpi is about 35 million pixels. Sizes come from the
+// file, so anything larger is skipped before a byte is allocated for it.
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+async function withWorker(fn) {
+  const langs = process.env.OCR_LANGS || 'eng';
+  const options = process.env.OCR_LANG_PATH
+    ? { langPath: process.env.OCR_LANG_PATH }
+    : { langPath: englishData.langPath, gzip: englishData.gzip };
+
+  // cacheMethod 'none' keeps tesseract from writing traineddata into the cwd
+  const worker = await createWorker(langs, 1, { ...options, cacheMethod: 'none' });
+  try {
+    return await fn(worker);
+  } finally {
+    await worker.terminate();
+  }
+}
+
+// Greyscale PNG, auto-rotated from EXIF, at least ~1000px wide so small text survives
+async function prepareImage(input) {
+  const image = sharp(input, { failOn: 'none', limitInputPixels: MAX_PIXELS }).rotate().grayscale();
+  const { width } = await image.metadata();
+  if (width && width < 1000) image.resize({ width: 1000 });
+  return image.png().toBuffer();
+}
+
+async function recognize(worker, image) {
+  const { data } = await worker.recognize(await prepareImage(image));
+  return { text: data.text.trim(), confidence: data.confidence };
+}
+
+// Confidence of several results, weighted by how much text each produced
+function combinedConfidence(results) {
+  const chars = results.reduce((sum, r) => sum + r.text.length, 0);
+  if (!chars) return 0;
+  return Math.round(results.reduce((sum, r) => sum + r.confidence * r.text.length, 0) / chars);
+}
+
+/**
+ * OCR a single image (png, jpg, webp, tiff, ...).
+ * Returns { text, confidence } with confidence 0-100.
+ */
+export async function ocrImage(buffer) {
+  const result = await withWorker(worker => recognize(worker, buffer));
+  return { text: result.text, confidence: Math.round(result.confidence) };
+}
+
+// Image XObjects of a PDF page, turned into something sharp can read.
+// Scans are almost always JPEG (DCTDecode) or Flate-compressed raw pixels.
+function pageImages(page) {
+  const xObjects = page.node.Resources()?.lookup(PDFName.of('XObject'));
+  if (!xObjects) return [];
+
+  const images = [];
+  for (const ref of xObjects.values()) {
+    const stream = page.doc.context.lookup(ref);
+    if (!(stream instanceof PDFRawStream)) continue;
+    const dict = stream.dict;
+    if (dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+
+    const filter = String(dict.lookup(PDFName.of('Filter')) ?? '');
+    const width = dict.lookup(PDFName.of('Width'))?.asNumber();
+    const height = dict.lookup(PDFName.of('Height'))?.asNumber();
+    const bits = dict.lookup(PDFName.of('BitsPerComponent'))?.asNumber() ?? 8;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) continue;
+    if (width * height > MAX_PIXELS) continue;
+
+    if (filter.includes('DCTDecode')) {
+      images.push(Buffer.from(stream.contents));
+    } else if (filter === '/FlateDecode' || filter === '') {
+      let pixels = decodePDFRawStream(stream).decode();
+      if (bits === 1) {
+        // bilevel scan: unpack to one byte per pixel (0 = black)
+        const rowBytes = Math.ceil(width / 8);
+        // The declared size must match the data before anything is sized from it
+        if (pixels.length !== rowBytes * height) continue;
+        const unpacked = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const bit = (pixels[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+            unpacked[y * width + x] = bit ? 255 : 0;
+          }
+        }
+        pixels = unpacked;
+      } else if (bits !== 8) {
+        continue;
+      }
+      // Gray or RGB; anything else (CMYK, indexed palettes) would come out garbled
+      const channels = pixels.length / (width * height);
+      if (channels !== 1 && channels !== 3) continue;
+      images.push({ raw: Buffer.from(pixels), width, height, channels });
+    }
+    // CCITT, JBIG2 and JPEG 2000 scans aren't decodable here; skip them
+  }
+  return images;
+}
+
+/**
+ * OCR a PDF made of scanned pages. Only the first OCR_MAX_PAGES pages (default 20)
+ * are read. Returns { text, confidence, pageTexts, pagesProcessed }.
+ */
+export async function ocrPdf(buffer) {
+  const doc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const maxPages = Number(process.env.OCR_MAX_PAGES) || DEFAULT_MAX_PAGES;
+  const pages = doc.getPages().slice(0, maxPages);
+
+  return withWorker(async worker => {
+    const pageTexts = [];
+    const results = [];
+    for (const page of pages) {
+      const texts = [];
+      for (const image of pageImages(page)) {
+        const input = Buffer.isBuffer(image)
+          ? image
+          : await sharp(image.raw, { raw: { width: image.width, height: image.height, channels: image.channels } }).png().toBuffer();
+        const result = await recognize(worker, input);
+        if (result.text) {
+          texts.push(result.text);
+          results.push(result);
+        }
+      }
+      pageTexts.push(texts.join('\n\n'));
+    }
+
+    return {
+      text: pageTexts.filter(Boolean).join('\n\n'),
+      confidence: combinedConfidence(results),
+      pageTexts,
+      pagesProcessed: pages.length,
+    };
+  });
+}
@@ -0,0 +1,161 @@
+import mammoth from 'mammoth';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { ApiError } from './errors.js';
+
+// Text extraction for Office documents. Each extractor takes the file buffer and
+// returns { content, ...structure }; the content uses "## " headings per sheet
+// or slide so long files split cleanly in lib/mapreduce.js.
+
+export async function extractDocx(buffer) {
+  const { value, messages } = await mammoth.extractRawText({ buffer });
+  for (const message of messages) console.log(`DOCX ${message.type}: ${message.message}`);
+
+  const content = value.replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    content,
+    paragraphs: content ? content.split(/\n\s*\n/).length : 0,
+    words: content ? content.split(/\s+/).length : 0,
+  };
+}
+
+// A cell as it reads: dates as ISO days (or times, when they have one),
+// formulas by their result, rich text and links by their text
+function cellText(cell) {
+  if (cell.value instanceof Date) {
+    const iso = cell.value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return cell.text ?? '';
+}
+
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A small .xlsx can declare a huge sparse range (A1 and XFD1048576), so only
+// populated cells are visited and workbooks past these are refused
+const MAX_ROWS = 100000;
+const MAX_COLUMNS = 1000;
+const MAX_CHARS = 10 * 1024 * 1024;
+
+const tooLarge = message => new ApiError(413, 'spreadsheet_too_large', message);
+
+/**
+ * Every sheet of an .xlsx workbook rendered as CSV under its own heading.
+ * Throws a 413 ApiError past MAX_ROWS, MAX_COLUMNS or MAX_CHARS.
+ */
+export async function extractSpreadsheet(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  let length = 0;
+  const sheets = workbook.worksheets.map(sheet => {
+    let left = Infinity;
+    let right = 0;
+    let top = 0;
+    let bottom = 0;
+    let rows = 0;
+    sheet.eachRow({ includeEmpty: false }, (row, r) => {
+      const { min, max } = row.dimensions || {};
+      if (!min) return;
+      if (!top) top = r;
+      bottom = r;
+      left = Math.min(left, min);
+      right = Math.max(right, max);
+      if (++rows > MAX_ROWS) throw tooLarge(`Sheet "${sheet.name}" has more than ${MAX_ROWS} rows`);
+    });
+    if (right - left + 1 > MAX_COLUMNS) {
+      throw tooLarge(`Sheet "${sheet.name}" spans more than ${MAX_COLUMNS} columns`);
+    }
+
+    const lines = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      const fields = [];
+      row.eachCell({ includeEmpty: false }, (cell, c) => {
+        fields[c - left] = csvField(cellText(cell));
+      });
+      if (!fields.some(Boolean)) return;
+      const line = Array.from({ length: right - left + 1 }, (_, i) => fields[i] || '').join(',');
+      length += line.length + 1;
+      if (length > MAX_CHARS) throw tooLarge(`The workbook is longer than ${MAX_CHARS} characters as text`);
+      lines.push(line);
+    });
+
+    return {
+      name: sheet.name,
+      rows: bottom ? bottom - top + 1 : 0,
+      columns: right ? right - left + 1 : 0,
+      csv: lines.join('\n'),
+    };
+  });
+
+  return {
+    content: sheets
+      .map(s => `## Sheet: ${s.name} (${s.rows} rows x ${s.columns} columns)\n${s.csv || '[empty sheet]'}`)
+      .join('\n\n'),
+    sheets: sheets.length,
+    sheetNames: sheets.map(s => s.name),
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text of a DrawingML part, one line per <a:p>. Fields (slide numbers, dates) are skipped.
+function drawingText(xml) {
+  const paragraphs = xml.match(/<a:p>[\s\S]*?<\/a:p>|<a:p [\s\S]*?<\/a:p>/g) || [];
+  return paragraphs
+    .map(p => p.replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, ''))
+    .map(p => (p.match(/<a:t>[^<]*<\/a:t>|<a:t [^>]*>[^<]*<\/a:t>/g) || [])
+      .map(t => decodeXml(t.replace(/<[^>]+>/g, '')))
+      .join(''))
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Slide-by-slide text, with the speaker notes of each slide after it.
+ */
+export async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideNumber = name => Number(name.match(/slide(\d+)\.xml$/)[1]);
+  const slideFiles = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+  if (!slideFiles.length) throw new Error('No slides found in presentation');
+
+  let notesCount = 0;
+  const slides = [];
+  for (const [i, file] of slideFiles.entries()) {
+    const text = drawingText(await zip.file(file).async('string'));
+
+    // Notes are linked from the slide's relationships, not by file number
+    let notes = '';
+    const rels = zip.file(file.replace('slides/', 'slides/_rels/') + '.rels');
+    const notesTarget = rels && (await rels.async('string')).match(/Target="\.\.\/notesSlides\/([^"]+)"/);
+    if (notesTarget) {
+      const notesFile = zip.file(`ppt/notesSlides/${notesTarget[1]}`);
+      if (notesFile) notes = drawingText(await notesFile.async('string'));
+    }
+    if (notes) notesCount++;
+
+    slides.push(`## Slide ${i + 1}\n${text || '[no text]'}${notes ? `\n\nSpeaker notes:\n${notes}` : ''}`);
+  }
+
+  return {
+    content: slides.join('\n\n'),
+    slides: slides.length,
+    slidesWithNotes: notesCount,
+  };
+}
@@ -0,0 +1,278 @@
+import { ApiError, badRequest } from './errors.js';
+import { routeConfig } from './config.js';
+import { getStore } from './store.js';
+
+// Named, versioned system prompts ("presets"). The built-ins below are version 1
+// of each; api/prompts.js adds presets and new versions in the "prompts" store.
+// Versions are never edited in place, so a { name, version } recorded with a
+// response always says exactly which prompt produced it.
+//
+// Every route has a default preset (`preset` in lib/config.js ROUTES); requests
+// pick another with `preset` ("name" for the latest version, "name@2" for a
+// given one) and fill template variables with `variables`:
+//
+//   {{tone}}                      replaced with the value
+//   {{#audience}}...{{/audience}} kept only when the variable is set
+//
+// A variable the template doesn't mention gets a standard sentence appended
+// instead (see STANDARD), so every preset takes all of VARIABLES.
+
+export const VARIABLES = ['length', 'tone', 'audience', 'language'];
+
+const STANDARD = {
+  length: value => `Keep the answer ${value}.`,
+  tone: value => `Use a ${value} tone.`,
+  audience: value => `Write for ${value}.`,
+  language: value => `Write your answer in ${value}.`,
+};
+
+const MAX_VARIABLE_LENGTH = 100;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+const STUDY_ASSISTANT = "You are a helpful study assistant. Answer questions about the images the user sends, and say so when something in an image is unreadable or ambiguous instead of guessing.";
+
+// `prompt` is the user message to send when the request has none (api/vision.js)
+const BUILT_IN = {
+  assistant: {
+    description: 'General-purpose assistant (chat, chat2)',
+    template: 'You are a helpful AI assistant.',
+  },
+  summarizer: {
+    description: 'Short plain summaries (simplesummary)',
+    template: 'You are an ai summarizer, summarize the text we send you and nothing else, if the text is too short to summarize, say it, summarize it simply but good, keep it short and clean and not too long.',
+  },
+  'document-analysis': {
+    description: 'Structured analysis of uploaded files (detailedsummary)',
+    template: 'You are a professional document analysis assistant. When analyzing uploaded files, provide comprehensive summaries that include: 1) Document type and basic info, 2) Main topics and key points, 3) Structure and organization, 4) Important details, data, or conclusions, 5) Any notable insights. Be thorough but concise. If the document is too short to summarize, describe its contents instead.',
+  },
+  'document-comparison': {
+    description: 'Differences between uploaded documents (detailedsummary, mode=compare)',
+    template: 'You are a professional document comparison assistant. Compare the uploaded documents and report: 1) What each document is and what they have in common, 2) Differences in content, terms, figures, dates and names, 3) What was added, removed or changed between versions, 4) Which differences matter most and why. Refer to documents by file name and be specific.',
+  },
+  'document-qa': {
+    description: 'Cited answers from document excerpts (ask)',
+    template: "You answer questions about the user's documents using only the numbered excerpts below. Cite every claim with the excerpt number in square brackets, e.g. [2], and quote the exact wording for figures, dates, names and definitions. If the excerpts don't contain the answer, say so instead of guessing.",
+  },
+  'study-assistant': {
+    description: 'Questions about images (vision)',
+    template: STUDY_ASSISTANT,
+  },
+  describe: {
+    description: 'Describe image',
+    template: STUDY_ASSISTANT,
+    prompt: 'Describe this image in detail.',
+  },
+  'explain-diagram': {
+    description: 'Explain diagram',
+    template: `${STUDY_ASSISTANT}\n\nThe user is sending a diagram, chart or figure. Explain what it shows: its parts and labels, how they relate, what any axes, arrows or legends mean, and the main takeaway.`,
+    prompt: 'Explain this diagram.',
+  },
+  'transcribe-handwriting': {
+    description: 'Transcribe handwriting',
+    template: `${STUDY_ASSISTANT}\n\nThe user is sending handwritten text. Transcribe it exactly as written, keeping line breaks, lists and math notation (use LaTeX for formulas). Mark words you can't read as [illegible] rather than guessing, and don't correct spelling.`,
+    prompt: 'Transcribe the handwriting in this image.',
+  },
+  'solve-step-by-step': {
+    description: 'Solve step by step',
+    template: `${STUDY_ASSISTANT}\n\nThe user is sending a problem (math, physics, chemistry or similar). Restate it, solve it step by step explaining each step, and finish with the final answer clearly marked. If the problem is unreadable or incomplete, say what's missing.`,
+    prompt: 'Solve this problem step by step.',
+  },
+};
+
+function store() {
+  return getStore('prompts');
+}
+
+export function isBuiltIn(name) {
+  return Object.hasOwn(BUILT_IN, name);
+}
+
+function builtInVersion(name) {
+  const { template, prompt } = BUILT_IN[name];
+  return { version: 1, template, prompt: prompt || null, createdAt: null, createdBy: null };
+}
+
+/**
+ * A preset with all its versions (oldest first), or null.
+ */
+export async function getPreset(name) {
+  const stored = await store().get(name);
+  if (!isBuiltIn(name)) return stored;
+  return {
+    name,
+    description: stored?.description || BUILT_IN[name].description,
+    builtIn: true,
+    versions: [builtInVersion(name), ...(stored?.versions || [])],
+  };
+}
+
+function summary(preset) {
+  const latest = preset.versions.at(-1);
+  return {
+    name: preset.name,
+    description: preset.description,
+    builtIn: Boolean(preset.builtIn),
+    version: latest.version,
+    prompt: latest.prompt,
+    updatedAt: latest.createdAt,
+  };
+}
+
+/**
+ * Every preset at its latest version, built-ins first.
+ */
+export async function listPresets() {
+  const stored = (await store().entries()).map(({ value }) => value);
+  const builtIns = await Promise.all(Object.keys(BUILT_IN).map(getPreset));
+  const custom = stored.filter(preset => !isBuiltIn(preset.name)).sort((a, b) => a.name.localeCompare(b.name));
+  return [...builtIns, ...custom].map(summary);
+}
+
+// Placeholders must name known variables, and sections must be closed
+function checkTemplate(template) {
+  for (const [, , name] of template.matchAll(/\{\{([#/]?)\s*([^}]*?)\s*\}\}/g)) {
+    if (!VARIABLES.includes(name)) {
+      throw badRequest(`Unknown template variable "${name}". Use: ${VARIABLES.join(', ')}`);
+    }
+  }
+  for (const name of VARIABLES) {
+    const opened = template.split(`{{#${name}}}`).length;
+    if (opened !== template.split(`{{/${name}}}`).length) throw badRequest(`Unclosed {{#${name}}} section`);
+  }
+}
+
+/**
+ * Create a preset at version 1. Throws a 400 for bad names or templates and a
+ * 409 when the name is taken.
+ */
+export async function createPreset({ name, description, template, prompt }, { createdBy } = {}) {
+  if (!NAME_PATTERN.test(name)) {
+    throw badRequest('Preset names are 2-64 characters: lower-case letters, digits and dashes');
+  }
+  if (await getPreset(name)) {
+    throw new ApiError(409, 'preset_exists', `Preset "${name}" already exists; PUT a new version instead`);
+  }
+  checkTemplate(template);
+  const preset = {
+    name,
+    description: description || '',
+    versions: [{ version: 1, template, prompt: prompt || null, createdAt: new Date().toISOString(), createdBy }],
+  };
+  await store().set(name, preset);
+  return preset;
+}
+
+/**
+ * Add a version to an existing preset. Omitted fields carry over from the
+ * latest version. Resolves to the updated preset, or null when there's none.
+ */
+export async function addPresetVersion(name, { description, template, prompt }, { createdBy } = {}) {
+  const preset = await getPreset(name);
+  if (!preset) return null;
+  const latest = preset.versions.at(-1);
+  if (template !== undefined) checkTemplate(template);
+
+  const version = {
+    version: latest.version + 1,
+    template: template ?? latest.template,
+    prompt: prompt === undefined ? latest.prompt : prompt || null,
+    createdAt: new Date().toISOString(),
+    createdBy,
+  };
+  const record = {
+    name,
+    description: description ?? preset.description,
+    // Built-in version 1 lives in code, not the store
+    versions: [...preset.versions.filter(v => !(preset.builtIn && v.version === 1)), version],
+  };
+  await store().set(name, record);
+  return getPreset(name);
+}
+
+/**
+ * Remove a custom preset and all its versions. Built-ins can't be removed.
+ */
+export async function deletePreset(name) {
+  if (isBuiltIn(name)) throw badRequest(`"${name}" is a built-in preset and can't be deleted`);
+  if (!(await store().get(name))) return false;
+  return store().delete(name);
+}
+
+/**
+ * Check a request's `variables` (an object, or a JSON string from a form
+ * field) and return them as { name: value }.
+ */
+export function parseVariables(value) {
+  if (value === undefined || value === null || value === '') return {};
+  let variables = value;
+  if (typeof value === 'string') {
+    try {
+      variables = JSON.parse(value);
+    } catch (err) {
+      throw badRequest('variables must be a JSON object');
+    }
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw badRequest('variables must be an object');
+  }
+
+  const out = {};
+  for (const [name, raw] of Object.entries(variables)) {
+    if (!VARIABLES.includes(name)) throw badRequest(`Unknown variable "${name}". Use: ${VARIABLES.join(', ')}`);
+    if (raw === undefined || raw === null || raw === '') continue;
+    if (typeof raw !== 'string' || raw.length > MAX_VARIABLE_LENGTH) {
+      throw badRequest(`variables.${name} must be a string of at most ${MAX_VARIABLE_LENGTH} characters`);
+    }
+    out[name] = raw.replace(/\s+/g, ' ').trim();
+  }
+  return out;
+}
+
+/**
+ * Fill a template with `variables` (see the top of this file).
+ */
+export function renderTemplate(template, variables = {}) {
+  const mentioned = new Set([...template.matchAll(/\{\{[#/]?\s*(\w+)\s*\}\}/g)].map(match => match[1]));
+  let text = template.replace(/\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (_, name, inner) => (variables[name] ? inner : ''));
+  text = text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => variables[name] || '');
+
+  const extra = VARIABLES
+    .filter(name => variables[name] && !mentioned.has(name))
+    .map(name => STANDARD[name](variables[name]));
+  return [text.trim(), ...extra].join(' ').trim();
+}
+
+/**
+ * The system prompt for a request to `route`: the requested preset (or the
+ * route's default, or `defaultPreset` when the handler picks one) rendered
+ * with `variables`. `system` is a plain prompt to use instead of the default
+ * when the request names no preset. Resolves to { system, preset, prompt }:
+ * `preset` is { name, version } or null, `prompt` the preset's default user
+ * message, if any. Without any preset, `system` is just the variables'
+ * standard sentences (often '').
+ */
+export async function resolvePrompt(route, { preset, variables } = {}, { defaultPreset, system } = {}) {
+  const values = parseVariables(variables);
+  if ((preset || Object.keys(values).length) && routeConfig(route).provider === 'huggingface') {
+    throw badRequest(`The ${route} route's provider (huggingface) does not take a system prompt, so presets and variables can't be used`);
+  }
+  if (!preset && system) {
+    return { system: renderTemplate(system, values), preset: null, prompt: null };
+  }
+  const spec = preset || defaultPreset || routeConfig(route).preset;
+  if (!spec) {
+    return { system: renderTemplate('', values), preset: null, prompt: null };
+  }
+
+  const [name, versionText] = String(spec).split('@');
+  const found = await getPreset(name);
+  if (!found) throw badRequest(`Unknown preset "${name}"`);
+  const version = versionText ? found.versions.find(v => String(v.version) === versionText) : found.versions.at(-1);
+  if (!version) throw badRequest(`Preset "${name}" has no version ${versionText}`);
+
+  return {
+    system: renderTemplate(version.template, values),
+    preset: { name, version: version.version },
+    prompt: version.prompt,
+  };
+}
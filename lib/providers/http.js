@@ -0,0 +1,139 @@
+import { ProviderError, isRetryable } from '../errors.js';
+import { requestContext } from '../handler.js';
+
+// POST to a provider with a per-attempt timeout and retries.
+//
+// AI_TIMEOUT_MS (default 60000) bounds each attempt; AI_MAX_RETRIES (default 2)
+// extra attempts follow network errors, timeouts and retryable statuses (429,
+// 5xx, ...) after an exponential backoff of AI_RETRY_BASE_MS (default 500)
+// doubling per attempt, with jitter. An upstream Retry-After is honoured when
+// it's short; a longer one is passed on to the client instead.
+
+const MAX_DELAY_MS = 10000;
+
+// Swappable so tests (and offline runs) can answer provider calls in-process;
+// base URLs come from lib/config.js (OPENAI_BASE_URL, HF_SPACE_URL, ...)
+const defaultFetch = (...args) => globalThis.fetch(...args);
+let fetchImpl = defaultFetch;
+
+/**
+ * Replace the fetch used for provider calls; pass nothing to restore the global one.
+ */
+export function setFetch(fn) {
+  fetchImpl = fn || defaultFetch;
+}
+
+export function retryPolicy() {
+  const number = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+  return {
+    timeoutMs: number('AI_TIMEOUT_MS', 60000),
+    maxRetries: number('AI_MAX_RETRIES', 2),
+    baseDelayMs: number('AI_RETRY_BASE_MS', 500),
+  };
+}
+
+function retryAfterSec(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+async function upstreamError(provider, response) {
+  const raw = await response.text();
+  let details = raw;
+  try { details = JSON.parse(raw); } catch (e) {}
+  const reason = details?.error?.message || (typeof details?.error === 'string' && details.error) || 'Unknown error';
+  return new ProviderError(`${provider} API error: ${response.status} - ${reason}`, {
+    provider,
+    status: response.status,
+    details,
+    retryAfterSec: retryAfterSec(response),
+  });
+}
+
+async function sleep(ms, signal) {
+  let onAbort;
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+function backoffMs(attempt, baseDelayMs, error) {
+  const exponential = baseDelayMs * 2 ** attempt;
+  const delay = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.min(MAX_DELAY_MS, Math.max(delay, (error.retryAfterSec || 0) * 1000));
+}
+
+/**
+ * POST `body` as JSON to `url`. `read(response)` consumes an ok response while
+ * the attempt's timeout still applies and its result is returned; streaming
+ * callers return the response itself, so only the wait for headers is timed.
+ * Aborting `signal` (client went away) cancels the request and any pending
+ * retry, and rethrows the AbortError.
+ */
+export async function postJson(url, { provider, headers = {}, body, signal, read }) {
+  const { timeoutMs, maxRetries, baseDelayMs } = retryPolicy();
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) throw signal.reason;
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    let timedOut = false;
+    const timer = timeoutMs
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+      : null;
+
+    let error;
+    let streaming = false;
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      if (response.ok) {
+        const result = await read(response);
+        // A stream handed back to the caller still needs aborts forwarded while it's read
+        streaming = result === response;
+        return result;
+      }
+      error = await upstreamError(provider, response);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (timedOut) {
+        error = new ProviderError(`${provider} request timed out after ${timeoutMs}ms`, { provider, timeout: true });
+      } else if (err instanceof ProviderError) {
+        error = err;
+      } else {
+        error = new ProviderError(`${provider} request failed: ${err.cause?.message || err.message}`, { provider });
+      }
+    } finally {
+      clearTimeout(timer);
+      if (!streaming) signal?.removeEventListener('abort', forwardAbort);
+    }
+
+    const delay = backoffMs(attempt, baseDelayMs, error);
+    const retryAfterTooLong = (error.retryAfterSec || 0) * 1000 > MAX_DELAY_MS;
+    if (attempt >= maxRetries || !isRetryable(error) || retryAfterTooLong) throw error;
+
+    console.warn(`[${requestContext()?.requestId || '-'}] ${error.message}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 2} of ${maxRetries + 1})`);
+    await sleep(delay, signal);
+  }
+}
@@ -0,0 +1,38 @@
+import { ProviderError } from '../errors.js';
+import { postJson } from './http.js';
+
+// The Hugging Face Space only summarizes plain text, so the "chat" here sends
+// the latest user message and returns the summary as the reply.
+export function createHuggingFaceProvider(name, { url, defaultModel }) {
+  return {
+    name,
+    defaultModel,
+
+    isConfigured() {
+      return Boolean(url);
+    },
+
+    async chat({ model, messages, signal }) {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const text = typeof lastUser?.content === 'string'
+        ? lastUser.content
+        : (lastUser?.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+
+      if (Array.isArray(lastUser?.content) && lastUser.content.some(part => part.type !== 'text')) {
+        const message = 'The Hugging Face summarizer only accepts text';
+        throw new ProviderError(message, { provider: name, status: 400, details: { error: message } });
+      }
+
+      const raw = await postJson(url, { provider: name, body: { text }, signal, read: response => response.text() });
+
+      let data;
+      try { data = JSON.parse(raw); } catch (err) { data = { summary: raw }; }
+
+      return {
+        text: data.summary ?? data.summary_text ?? data[0]?.summary_text ?? '',
+        usage: null,
+        model: model || defaultModel,
+      };
+    },
+  };
+}
@@ -0,0 +1,126 @@
+import { routeConfig, providerSettings, usageCost } from '../config.js';
+import { ProviderError } from '../errors.js';
+import { createOpenAIProvider } from './openai.js';
+import { createHuggingFaceProvider } from './huggingface.js';
+import { checkQuota, recordUsage } from '../limits.js';
+import { recordCall } from '../ledger.js';
+
+const factories = {
+  openai: createOpenAIProvider,
+  local: createOpenAIProvider,
+  huggingface: createHuggingFaceProvider,
+};
+
+export function getProvider(name) {
+  const factory = factories[name];
+  const settings = providerSettings(name);
+  if (!factory || !settings) throw new ProviderError(`Unknown AI provider: ${name}`, { provider: name });
+  // Built per call so env changes (and tests) take effect without a restart
+  return factory(name, settings);
+}
+
+/**
+ * Resolve which provider and model a route talks to.
+ * Returns { route, provider, model, maxTokens, backend }.
+ */
+export function resolveRoute(route) {
+  const config = routeConfig(route);
+  const backend = getProvider(config.provider);
+  return { ...config, model: config.model || backend.defaultModel, backend };
+}
+
+function callStatus(err) {
+  return err?.name === 'AbortError' ? 'aborted' : 'error';
+}
+
+// Write one upstream call to the ledger and, when it succeeded, to the user's
+// daily quota. Accounting must never fail the request it's accounting for.
+async function track(route, { provider, model }, startedAt, { result, status = 'ok', error } = {}) {
+  const usage = result?.usage;
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  try {
+    await recordCall({
+      route,
+      provider,
+      model: result?.model || model,
+      status,
+      httpStatus: error?.status || null,
+      latencyMs: Date.now() - startedAt,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+      costUsd: usageCost(result?.model || model, usage),
+    });
+    if (result) await recordUsage(result);
+  } catch (err) {
+    console.error('Failed to record usage:', err);
+  }
+}
+
+export function isConfigured(route) {
+  return resolveRoute(route).backend.isConfigured();
+}
+
+/**
+ * Run a chat completion for `route`. `responseFormat` is passed through as the
+ * OpenAI `response_format` (backends that can't honour it ignore it).
+ * Resolves to { text, usage, model, provider }; throws a 429 ApiError before
+ * calling out once the user's daily quota is spent (lib/limits.js).
+ */
+export async function complete(route, { messages, maxTokens, responseFormat, signal }) {
+  const { provider, model, maxTokens: routeMaxTokens, backend } = resolveRoute(route);
+  await checkQuota();
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await backend.chat({ model, messages, maxTokens: maxTokens ?? routeMaxTokens, responseFormat, signal });
+  } catch (err) {
+    await track(route, { provider, model }, startedAt, { status: callStatus(err), error: err });
+    throw err;
+  }
+  await track(route, { provider, model }, startedAt, { result });
+  return { ...result, provider };
+}
+
+/**
+ * Stream a chat completion for `route`.
+ * Yields { type: 'delta', text } records followed by one
+ * { type: 'done', text, usage, model, provider }. Backends without native
+ * streaming produce a single delta with the whole reply.
+ */
+export async function* streamCompletion(route, { messages, maxTokens, signal }) {
+  const { provider, model, maxTokens: routeMaxTokens, backend } = resolveRoute(route);
+  const request = { model, messages, maxTokens: maxTokens ?? routeMaxTokens, signal };
+  await checkQuota();
+  const startedAt = Date.now();
+  let settled = false;
+
+  try {
+    if (!backend.stream) {
+      const result = await backend.chat(request);
+      settled = true;
+      await track(route, { provider, model }, startedAt, { result });
+      if (result.text) yield { type: 'delta', text: result.text };
+      yield { type: 'done', ...result, provider };
+      return;
+    }
+
+    for await (const event of backend.stream(request)) {
+      if (event.type === 'done') {
+        settled = true;
+        await track(route, { provider, model }, startedAt, { result: event });
+      }
+      yield event.type === 'done' ? { ...event, provider } : event;
+    }
+  } catch (err) {
+    if (!settled) {
+      settled = true;
+      await track(route, { provider, model }, startedAt, { status: callStatus(err), error: err });
+    }
+    throw err;
+  } finally {
+    // The consumer stopped reading (client went away) before the reply finished
+    if (!settled) await track(route, { provider, model }, startedAt, { status: 'aborted' });
+  }
+}
@@ -0,0 +1,75 @@
+import { ProviderError } from '../errors.js';
+import { readEventStream } from '../sse.js';
+import { postJson } from './http.js';
+
+// Chat completions against api.openai.com or any server speaking the same
+// protocol (Ollama, llama.cpp server, vLLM, ...).
+export function createOpenAIProvider(name, { baseUrl, apiKey, requireKey, defaultModel }) {
+  function post(body, signal, read) {
+    if (requireKey && !apiKey) {
+      throw new ProviderError(`API key for provider "${name}" is not set`, { provider: name, code: 'not_configured' });
+    }
+
+    const headers = {};
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return postJson(`${baseUrl}/chat/completions`, { provider: name, headers, body, signal, read });
+  }
+
+  function requestBody({ model, messages, maxTokens, responseFormat }) {
+    const body = { model, messages };
+    // Newer reasoning models reject max_tokens, so only send it when a route asks for it
+    if (maxTokens) body.max_tokens = maxTokens;
+    if (responseFormat) body.response_format = responseFormat;
+    return body;
+  }
+
+  return {
+    name,
+    defaultModel,
+
+    isConfigured() {
+      return !requireKey || Boolean(apiKey);
+    },
+
+    async chat({ model, messages, maxTokens, responseFormat, signal }) {
+      const data = await post(requestBody({ model, messages, maxTokens, responseFormat }), signal, response => response.json());
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: data.usage || null,
+        model: data.model || model,
+      };
+    },
+
+    async *stream({ model, messages, maxTokens, signal }) {
+      const body = {
+        ...requestBody({ model, messages, maxTokens }),
+        stream: true,
+        stream_options: { include_usage: true },
+      };
+      // Only the wait for the first byte is timed; a long reply can take as long as it needs
+      const response = await post(body, signal, response => response);
+
+      let text = '';
+      let usage = null;
+      let resolvedModel = model;
+      for await (const { data } of readEventStream(response.body)) {
+        if (data === '[DONE]') break;
+
+        let chunk;
+        try { chunk = JSON.parse(data); } catch (e) { continue; }
+        if (chunk.error) {
+          throw new ProviderError(`${name} stream error: ${chunk.error.message || 'Unknown error'}`, { provider: name, details: chunk });
+        }
+        if (chunk.model) resolvedModel = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          yield { type: 'delta', text: delta };
+        }
+      }
+      yield { type: 'done', text, usage, model: resolvedModel };
+    },
+  };
+}
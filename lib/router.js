@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ApiError } from './errors.js';
+import { sendError } from './handler.js';
+
+// Serves the functions in api/ outside Vercel. Every api/<name>.js is mounted
+// at /api/<name> with the request and response helpers Vercel's Node runtime
+// adds: req.query, req.body (parsed unless the module exports
+// `config.api.bodyParser = false`), res.status(), res.json() and res.send().
+//
+// The router is a plain (req, res, next) function, so it works on its own with
+// http.createServer (see server.js) and mounted in Express or Connect:
+//
+//   app.use(createRouter());
+//
+// With `next`, unknown paths fall through to it; without, they get a 404.
+
+export const API_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../api');
+
+// Vercel's default body size limit
+const DEFAULT_BODY_LIMIT = 4.5 * 1024 * 1024;
+
+function bodyLimit() {
+  return Number(process.env.MAX_BODY_BYTES) || DEFAULT_BODY_LIMIT;
+}
+
+/**
+ * /api/<name> -> absolute file path for every route module in `dir`.
+ */
+export function discoverRoutes(dir = API_DIR) {
+  const routes = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    if (!/\.(js|mjs)$/.test(file)) continue;
+    routes.set(`/api/${file.replace(/\.(js|mjs)$/, '')}`, path.join(dir, file));
+  }
+  return routes;
+}
+
+function addResponseHelpers(res) {
+  res.status ??= code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json ??= body => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send ??= body => {
+    if (body === undefined || body === null) {
+      res.end();
+    } else if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+      res.end(body);
+    } else if (typeof body === 'object') {
+      return res.json(body);
+    } else {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(String(body));
+    }
+    return res;
+  };
+}
+
+async function readBody(req) {
+  const limit = bodyLimit();
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new ApiError(413, 'body_too_large', `Request body is larger than ${limit} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Same content types Vercel parses; anything else is left as a Buffer
+export async function parseBody(req) {
+  const raw = await readBody(req);
+  if (!raw.length) return undefined;
+
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json' || type.endsWith('+json')) {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch {
+      throw new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+  }
+  if (type.startsWith('text/')) return raw.toString('utf8');
+  return raw;
+}
+
+/**
+ * Build the request listener. Route modules are imported on first use.
+ */
+export function createRouter({ dir = API_DIR } = {}) {
+  const routes = discoverRoutes(dir);
+  const modules = new Map();
+
+  function load(file) {
+    if (!modules.has(file)) {
+      const loading = import(pathToFileURL(file).href);
+      // Let a failed import be retried on the next request
+      loading.catch(() => modules.delete(file));
+      modules.set(file, loading);
+    }
+    return modules.get(file);
+  }
+
+  return async function router(req, res, next) {
+    addResponseHelpers(res);
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+    const file = routes.get(pathname);
+
+    try {
+      if (!file) {
+        if (next) return next();
+        throw new ApiError(404, 'not_found', `No route for ${pathname}`);
+      }
+
+      const mod = await load(file);
+      if (req.query === undefined) {
+        req.query = Object.fromEntries(url.searchParams);
+      }
+      if (req.body === undefined && mod.config?.api?.bodyParser !== false) {
+        req.body = await parseBody(req);
+      }
+      return await mod.default(req, res);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
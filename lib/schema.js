@@ -0,0 +1,90 @@
+import { ApiError } from './errors.js';
+
+// A small subset of JSON Schema, enough for request bodies and model output:
+//
+//   type        'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean',
+//               or an array of them
+//   object      required, properties
+//   array       items, minItems, maxItems
+//   string      minLength, maxLength, enum
+//   number      minimum, maximum, enum
+
+const typeOf = v => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Check `value` against `schema`. Returns [{ path, message }], empty when
+ * valid; `path` is like "metadata.tags[2]" ("" for the value itself).
+ */
+export function schemaErrors(schema, value, path = '') {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(type, value))) {
+    return [{ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+
+  switch (typeOf(value)) {
+    case 'object':
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) errors.push(...schemaErrors(child, value[key], childPath(path, key)));
+      }
+      break;
+    case 'array':
+      if (schema.minItems != null && value.length < schema.minItems) fail(`needs at least ${schema.minItems} items, got ${value.length}`);
+      if (schema.maxItems != null && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} items, got ${value.length}`);
+      if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${path}[${i}]`)));
+      break;
+    case 'string':
+      if (schema.minLength != null && value.length < schema.minLength) {
+        fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength != null && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+      break;
+    case 'number':
+      if (schema.minimum != null && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum != null && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+      break;
+  }
+  return errors;
+}
+
+/**
+ * The same check as schemaErrors(), as "path: problem" strings rooted at "$"
+ * (the form lib/formats.js feeds back to the model).
+ */
+export function validateSchema(schema, value) {
+  return schemaErrors(schema, value).map(({ path, message }) => {
+    const root = !path ? '$' : path.startsWith('[') ? `$${path}` : `$.${path}`;
+    return `${root}: ${message}`;
+  });
+}
+
+/**
+ * Validate a JSON request body. Throws a 400 ApiError listing every problem
+ * as details: [{ field, message }].
+ */
+export function validateBody(body, schema) {
+  if (typeOf(body) !== 'object') {
+    throw new ApiError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+  const errors = schemaErrors(schema, body);
+  if (errors.length) {
+    const details = errors.map(({ path, message }) => ({ field: path, message }));
+    const summary = details.map(({ field, message }) => `${field} ${message}`).join('; ');
+    throw new ApiError(400, 'invalid_body', `Invalid request body: ${summary}`, { details });
+  }
+  return body;
+}
@@ -0,0 +1,116 @@
+import { streamCompletion } from './providers/index.js';
+import { errorBody, requestContext } from './handler.js';
+
+// Server-Sent Events, in both directions: parsing upstream provider streams and
+// relaying completions to our own clients.
+
+/**
+ * Parse a fetch() body carrying text/event-stream into { event, data } records.
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        if (data.length) yield { event, data: data.join('\n') };
+        event = 'message';
+        data = [];
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      }
+    }
+  }
+  if (data.length) yield { event, data: data.join('\n') };
+}
+
+/**
+ * Streaming is opt-in: either `Accept: text/event-stream` or `stream: true` in the JSON body.
+ */
+export function wantsStream(req) {
+  return req.body?.stream === true || /text\/event-stream/i.test(req.headers?.accept || '');
+}
+
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies (nginx, Vercel) from buffering the whole response
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+/**
+ * Stream a completion for `route` to the client.
+ *
+ * Sends `delta` events ({ text }) as tokens arrive and a final `done` event with
+ * usage, model and whatever is passed in `done` (e.g. conversationId). Errors
+ * raised before the first token are thrown so the handler can still answer with
+ * a normal JSON error; later ones become an `error` event carrying the same
+ * { error: { code, message, ... } } envelope.
+ *
+ * Resolves to { text, usage, model, provider }, or null when the client
+ * disconnected or the upstream failed mid-stream.
+ */
+export async function relayCompletion(res, route, { messages, maxTokens, done = {} }) {
+  const controller = new AbortController();
+  const onClose = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on('close', onClose);
+
+  const events = streamCompletion(route, { messages, maxTokens, signal: controller.signal });
+  try {
+    let next;
+    try {
+      next = await events.next();
+    } catch (err) {
+      if (controller.signal.aborted) return null;
+      throw err;
+    }
+
+    const stream = openEventStream(res);
+    let result = null;
+    try {
+      for (; !next.done; next = await events.next()) {
+        const event = next.value;
+        if (event.type === 'delta') {
+          stream.send('delta', { text: event.text });
+        } else if (event.type === 'done') {
+          result = event;
+          stream.send('done', { ...done, usage: event.usage, model: event.model, provider: event.provider });
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return null;
+      console.error(`[${requestContext()?.requestId}] Stream error on ${route}:`, err);
+      stream.send('error', { error: errorBody(err) });
+      return null;
+    } finally {
+      stream.end();
+    }
+    return result;
+  } finally {
+    res.off('close', onClose);
+  }
+}
@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Small key/value store with per-entry TTL, used for anything that must outlive
+// a single request. Two backends:
+//
+//   memory  - a Map; fine for tests and single long-running processes
+//   file    - one JSON file per key under DATA_DIR (default ./.data, or /tmp on Vercel)
+//
+// Pick one with STORE_BACKEND, or per namespace with STORE_BACKEND_<NAMESPACE>
+// (e.g. STORE_BACKEND_RATELIMIT=memory). Any object with the same async methods
+// (get/set/delete/entries) can be passed to setStore() to plug in something shared.
+
+function isExpired(record, now = Date.now()) {
+  return record.expiresAt != null && record.expiresAt <= now;
+}
+
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      const record = records.get(key);
+      if (!record) return null;
+      if (isExpired(record)) {
+        records.delete(key);
+        return null;
+      }
+      return structuredClone(record.value);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      records.set(key, { value: structuredClone(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    async delete(key) {
+      return records.delete(key);
+    },
+
+    async entries() {
+      const now = Date.now();
+      const out = [];
+      for (const [key, record] of records) {
+        if (isExpired(record, now)) records.delete(key);
+        else out.push({ key, value: structuredClone(record.value), expiresAt: record.expiresAt });
+      }
+      return out;
+    },
+  };
+}
+
+export function createFileStore(dir) {
+  const fileFor = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  async function read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      // A half-written or hand-edited file shouldn't take the whole store down
+      if (err instanceof SyntaxError) return null;
+      throw err;
+    }
+  }
+
+  return {
+    async get(key) {
+      const record = await read(fileFor(key));
+      if (!record) return null;
+      if (isExpired(record)) {
+        await fs.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return record.value;
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      const record = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      // write-then-rename so readers never see a partial file
+      await fs.writeFile(tmp, JSON.stringify(record));
+      await fs.rename(tmp, file);
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(fileFor(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async entries() {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      const now = Date.now();
+      const out = [];
+      for (const name of names.filter(n => n.endsWith('.json'))) {
+        const file = path.join(dir, name);
+        const record = await read(file);
+        if (!record) continue;
+        if (isExpired(record, now)) {
+          await fs.rm(file, { force: true });
+          continue;
+        }
+        out.push({ key: decodeURIComponent(name.slice(0, -5)), value: record.value, expiresAt: record.expiresAt });
+      }
+      return out;
+    },
+  };
+}
+
+export function dataDir() {
+  return process.env.DATA_DIR || (process.env.VERCEL ? '/tmp/sarosh-data' : path.resolve('.data'));
+}
+
+const stores = new Map();
+
+/**
+ * Get the store for a namespace ("conversations", ...). Namespaces never share keys.
+ */
+export function getStore(namespace) {
+  if (!stores.has(namespace)) {
+    const backend = process.env[`STORE_BACKEND_${namespace.toUpperCase()}`] || process.env.STORE_BACKEND || 'file';
+    switch (backend) {
+      case 'memory':
+        stores.set(namespace, createMemoryStore());
+        break;
+      case 'file':
+        stores.set(namespace, createFileStore(path.join(dataDir(), namespace)));
+        break;
+      default:
+        throw new Error(`Unknown STORE_BACKEND: ${backend}`);
+    }
+  }
+  return stores.get(namespace);
+}
+
+export function setStore(namespace, store) {
+  if (store) stores.set(namespace, store);
+  else stores.delete(namespace);
+}
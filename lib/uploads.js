@@ -0,0 +1,191 @@
+import formidable from 'formidable';
+import fs from 'fs';
+import { ApiError } from './errors.js';
+
+// What we accept from clients, decided from the bytes rather than the file
+// name. Uploads are sniffed by their magic bytes and must land on a MIME type
+// in UPLOAD_TYPES; when the file name has an extension it must agree with the
+// content. Images sent inline to the chat routes are data: URLs (type and size
+// checked the same way) or https:// links.
+//
+// The multipart routes (api/detailedsummary.js, api/documents.js,
+// api/vision.js) read their requests with parseUploads() and remove the temp
+// files with discardUploads().
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+// Legacy .doc/.xls/.ppt are all OLE compound files; only the name tells them apart
+const OLE = 'application/x-ole-storage';
+
+/**
+ * Allowed upload types: MIME -> extensions that may carry it. The first
+ * extension is the canonical one, used when the file name has none.
+ */
+export const UPLOAD_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/webp': ['.webp'],
+  'image/gif': ['.gif'],
+  'image/bmp': ['.bmp'],
+  'image/tiff': ['.tiff', '.tif'],
+  [DOCX]: ['.docx'],
+  [XLSX]: ['.xlsx'],
+  [PPTX]: ['.pptx'],
+  [OLE]: ['.xls', '.doc', '.ppt'],
+  'text/plain': ['.txt', '.md', '.csv', '.json', '.html', '.htm', '.xml'],
+};
+
+// Image types the vision models take inline
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = text => [...text].map(c => c.charCodeAt(0));
+
+// Office Open XML files are zips; the part names (stored uncompressed in the
+// local and central directory headers) say which application wrote them
+function sniffZip(buffer) {
+  if (buffer.includes('word/document.xml')) return DOCX;
+  if (buffer.includes('xl/workbook.xml')) return XLSX;
+  if (buffer.includes('ppt/presentation.xml')) return PPTX;
+  return 'application/zip';
+}
+
+// "BM" alone would also match text starting with those letters; check the
+// reserved bytes and the DIB header size too
+function isBmp(buffer) {
+  return startsWith(buffer, ascii('BM')) && buffer.length >= 18
+    && buffer.readUInt32LE(6) === 0 && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14));
+}
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 64 * 1024);
+  if (sample.includes(0)) return false;
+  try {
+    // A multi-byte character cut off at the sample boundary is fine
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.length < buffer.length ? sample.subarray(0, -3) : sample);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * MIME type of `buffer` from its magic bytes, "text/plain" for UTF-8 text,
+ * or null when unrecognised.
+ */
+export function sniffMime(buffer) {
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (isBmp(buffer)) return 'image/bmp';
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return sniffZip(buffer);
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return OLE;
+  if (buffer.length && looksLikeText(buffer)) return 'text/plain';
+  return null;
+}
+
+/**
+ * Check an uploaded file against the allowlist. Resolves the extension to
+ * process it as: the file's own when it matches the content, the canonical
+ * one for the sniffed type when the name has none (or an unknown one on a
+ * text file). Throws a 415 ApiError otherwise.
+ */
+export function checkUpload(buffer, fileName) {
+  const mime = sniffMime(buffer);
+  const match = /\.[^./\\]+$/.exec(fileName || '');
+  const extension = match ? match[0].toLowerCase() : '';
+
+  const allowed = mime && UPLOAD_TYPES[mime];
+  if (!allowed) {
+    throw new ApiError(415, 'unsupported_file_type', `${fileName}: unsupported file type${mime ? ` (${mime})` : ''}`);
+  }
+  if (allowed.includes(extension)) return { mime, extension };
+
+  const claimed = Object.keys(UPLOAD_TYPES).find(type => UPLOAD_TYPES[type].includes(extension));
+  if (claimed) {
+    throw new ApiError(415, 'file_type_mismatch', `${fileName}: the content is ${mime}, not ${extension}`);
+  }
+  return { mime, extension: allowed[0] };
+}
+
+export function maxImageBytes() {
+  return Number(process.env.MAX_IMAGE_BYTES) || 8 * 1024 * 1024;
+}
+
+/**
+ * Validate the `image` field of a chat body. data: URLs must be base64 images
+ * of an allowed type whose bytes match the declared type, within
+ * MAX_IMAGE_BYTES (default 8 MB); anything else must be an https:// URL.
+ * Throws a 400 ApiError naming the field.
+ */
+export function checkImageUrl(value, field = 'image') {
+  const invalid = message => new ApiError(400, 'invalid_image', `${field}: ${message}`, { details: [{ field, message }] });
+
+  if (value.startsWith('data:')) {
+    const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/]*={0,2})$/.exec(value);
+    if (!match) throw invalid('must be a base64 data: URL');
+    const [, declared, base64] = match;
+    if (!IMAGE_TYPES.includes(declared)) throw invalid(`type must be one of: ${IMAGE_TYPES.join(', ')}`);
+
+    // Check the size before decoding anything
+    const bytes = Math.floor((base64.length * 3) / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+    if (bytes > maxImageBytes()) throw invalid(`is ${bytes} bytes, the limit is ${maxImageBytes()}`);
+    if (sniffMime(Buffer.from(base64.slice(0, 64), 'base64')) !== declared) {
+      throw invalid(`content is not a ${declared} image`);
+    }
+    return value;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw invalid('must be a data: URL or an https:// URL');
+  }
+  if (url.protocol !== 'https:') throw invalid('must be a data: URL or an https:// URL');
+  if (url.username || url.password) throw invalid('must not contain credentials');
+  return value;
+}
+
+/**
+ * Parse a multipart request. Resolves to { fields, files }: the first value of
+ * each text field, and the uploads sent under any of `fileFields` in that
+ * order. Each file may be up to `maxFileBytes`; oversized or malformed uploads
+ * are a 4xx ApiError (invalid_upload).
+ */
+export async function parseUploads(req, { fileFields, maxFiles, maxFileBytes }) {
+  const form = formidable({
+    maxFileSize: maxFileBytes,
+    maxTotalFileSize: maxFileBytes * maxFiles,
+    maxFiles,
+    keepExtensions: true,
+  });
+
+  let fields, files;
+  try {
+    [fields, files] = await form.parse(req);
+  } catch (err) {
+    // formidable marks oversized or malformed uploads with the status to answer
+    if (err.httpCode) throw new ApiError(err.httpCode, 'invalid_upload', err.message);
+    throw err;
+  }
+  return {
+    fields: Object.fromEntries(Object.entries(fields).map(([name, values]) => [name, Array.isArray(values) ? values[0] : values])),
+    files: fileFields.flatMap(name => files[name] || []),
+  };
+}
+
+/**
+ * Remove the temp files of parsed uploads, in the background.
+ */
+export function discardUploads(uploadedFiles) {
+  for (const uploadedFile of uploadedFiles) {
+    fs.rm(uploadedFile.filepath, { force: true }, () => {});
+  }
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { getStore } from './store.js';
+
+// User accounts. Records live in the "users" store keyed by lower-cased
+// username. Deployments without a persistent store can also seed accounts from
+// AUTH_USERS="alice:<hash>,bob:<hash>", where each hash comes from
+// `npm run create-user -- <username> --print`. Usernames listed in
+// ADMIN_USERS="alice,bob" can see everyone's usage reports.
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+function store() {
+  return getStore('users');
+}
+
+export function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Salted scrypt hash, encoded as scrypt$N$r$p$salt$hash (base64 parts).
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(password, salt, keylen, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, hash] = String(encoded || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function seededUsers() {
+  const users = new Map();
+  for (const entry of (process.env.AUTH_USERS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator === -1) continue;
+    const username = normalizeUsername(entry.slice(0, separator));
+    users.set(username, { id: `env:${username}`, username, passwordHash: entry.slice(separator + 1).trim() });
+  }
+  return users;
+}
+
+export async function getUser(username) {
+  const key = normalizeUsername(username);
+  if (!key) return null;
+  return (await store().get(key)) || seededUsers().get(key) || null;
+}
+
+export async function createUser(username, password) {
+  const key = normalizeUsername(username);
+  if (!/^[a-z0-9._@-]{3,64}$/.test(key)) {
+    throw new Error('Username must be 3-64 characters: letters, digits, . _ @ -');
+  }
+  if (String(password || '').length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+  if (await getUser(key)) {
+    throw new Error(`User "${key}" already exists`);
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username: key,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  await store().set(key, user);
+  return user;
+}
+
+/**
+ * The user for a username/password pair, or null. Unknown users still pay for
+ * a hash so response timing doesn't reveal which usernames exist.
+ */
+export async function verifyCredentials(username, password) {
+  const user = await getUser(username);
+  if (!user || user.disabled) {
+    await hashPassword(String(password || ''));
+    return null;
+  }
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+export function isAdmin(user) {
+  const admins = (process.env.ADMIN_USERS || '').split(',').map(normalizeUsername).filter(Boolean);
+  return Boolean(user) && admins.includes(normalizeUsername(user.username));
+}
@@ -0,0 +1,200 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import { ApiError } from './errors.js';
+
+// Fetching pages for api/webpage.js. Only http(s) URLs are fetched, and only
+// from public addresses: every hostname (redirects included) is refused when it
+// resolves to a loopback, private or link-local address, so the server can't be
+// used to reach its own network. The check runs inside the connection's own
+// DNS lookup, so the address checked is the address connected to (a second
+// lookup could answer differently). WEBPAGE_ALLOW_PRIVATE=true lifts it for
+// local development and the test suite.
+//
+// WEBPAGE_TIMEOUT_MS (default 10 s) bounds the whole fetch and
+// WEBPAGE_MAX_BYTES (default 5 MB) the page size.
+
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; sarosh-site summarizer)';
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const PRIVATE = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE.addSubnet(address, prefix, 'ipv6');
+}
+
+function timeoutMs() {
+  return Number(process.env.WEBPAGE_TIMEOUT_MS) || 10000;
+}
+
+function maxBytes() {
+  return Number(process.env.WEBPAGE_MAX_BYTES) || 5 * 1024 * 1024;
+}
+
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  return PRIVATE.check(address, family);
+}
+
+/**
+ * Parse a URL given by a client. Throws a 400 unless it's http(s) without
+ * credentials.
+ */
+export function parsePageUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (err) {
+    throw new ApiError(400, 'invalid_url', 'url must be an absolute http:// or https:// URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ApiError(400, 'invalid_url', 'url must be an absolute http:// or https:// URL');
+  }
+  if (url.username || url.password) throw new ApiError(400, 'invalid_url', 'url must not contain credentials');
+  url.hash = '';
+  return url;
+}
+
+function allowPrivate() {
+  return process.env.WEBPAGE_ALLOW_PRIVATE === 'true';
+}
+
+const notAllowed = host => new ApiError(403, 'url_not_allowed', `${host} is not a public address`);
+
+// dns.lookup() for http.get(), refusing hosts with any private address
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(notAllowed(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves to the response (an IncomingMessage) for one hop
+function request(url, signal) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  // Addresses in the URL are never looked up
+  if (!allowPrivate() && net.isIP(host) && isPrivateAddress(host)) return Promise.reject(notAllowed(host));
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      signal,
+      lookup: allowPrivate() ? undefined : lookupPublic,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+      },
+    }, resolve);
+    req.on('error', reject);
+  });
+}
+
+const DECODERS = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+
+// The body, decompressed, up to WEBPAGE_MAX_BYTES; the connection is closed
+// as soon as the page turns out to be larger
+async function readBody(response) {
+  const limit = maxBytes();
+  const tooLarge = () => new ApiError(413, 'page_too_large', `The page is larger than ${limit} bytes`);
+  if (Number(response.headers['content-length']) > limit) {
+    response.destroy();
+    throw tooLarge();
+  }
+
+  const decoder = DECODERS[String(response.headers['content-encoding']).trim().toLowerCase()];
+  const body = decoder ? response.pipe(decoder()) : response;
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of body) {
+      size += chunk.length;
+      if (size > limit) throw tooLarge();
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    response.destroy();
+    body.destroy();
+    throw err;
+  }
+  return Buffer.concat(chunks);
+}
+
+// The Content-Type charset, else a <meta charset> near the top, else UTF-8
+function decode(bytes, contentType) {
+  const head = bytes.subarray(0, 2048).toString('latin1');
+  const label = /charset=["']?([\w-]+)/i.exec(contentType)?.[1] || /<meta[^>]+charset=["']?([\w-]+)/i.exec(head)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch (err) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function textToHtml(text) {
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return text.split(/\n\s*\n/).map(paragraph => `<p>${escape(paragraph)}</p>`).join('\n');
+}
+
+/**
+ * Fetch an HTML (or plain text) page, following up to MAX_REDIRECTS
+ * redirects. Resolves to { url, html, contentType } where `url` is the final
+ * one; plain text comes back as HTML paragraphs. Failures are ApiErrors:
+ * invalid_url, url_not_allowed, unsupported_content_type, page_too_large,
+ * page_fetch_failed, page_timeout.
+ */
+export async function fetchPage(value) {
+  let url = parsePageUrl(value);
+  const signal = AbortSignal.timeout(timeoutMs());
+
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const response = await request(url, signal);
+      const { statusCode: status, headers } = response;
+
+      if (status >= 300 && status < 400 && headers.location) {
+        response.destroy();
+        url = parsePageUrl(new URL(headers.location, url).href);
+        continue;
+      }
+      if (status < 200 || status >= 300) {
+        response.destroy();
+        throw new ApiError(502, 'page_fetch_failed', `The page answered with HTTP ${status}`, {
+          retryable: status === 429 || status >= 500,
+        });
+      }
+
+      const contentType = headers['content-type'] || 'text/html';
+      const mime = contentType.split(';')[0].trim().toLowerCase();
+      if (!HTML_TYPES.includes(mime) && mime !== 'text/plain') {
+        response.destroy();
+        throw new ApiError(415, 'unsupported_content_type', `The page is ${mime}, not HTML; upload files to /api/detailedsummary instead`);
+      }
+
+      const text = decode(await readBody(response), contentType);
+      const html = mime === 'text/plain' ? textToHtml(text) : text;
+      return { url: url.href, html, contentType: mime };
+    }
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (signal.aborted) {
+      throw new ApiError(504, 'page_timeout', `The page took longer than ${timeoutMs()} ms`, { retryable: true });
+    }
+    throw new ApiError(502, 'page_fetch_failed', 'Could not fetch the page', { retryable: true });
+  }
+  throw new ApiError(502, 'page_fetch_failed', `More than ${MAX_REDIRECTS} redirects`);
+}
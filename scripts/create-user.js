@@ -0,0 +1,38 @@
+// Create a login for the API.
+//
+//   npm run create-user -- <username>            prompts for the password, saves to the users store
+//   npm run create-user -- <username> --print    prints an AUTH_USERS entry instead of saving
+//
+// The password can also come from NEW_USER_PASSWORD (for scripts).
+
+import readline from 'readline';
+import { createUser, hashPassword, normalizeUsername } from '../lib/users.js';
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+const [username, flag] = process.argv.slice(2);
+if (!username) {
+  console.error('Usage: npm run create-user -- <username> [--print]');
+  process.exit(1);
+}
+
+const password = process.env.NEW_USER_PASSWORD || await ask(`Password for ${username}: `);
+
+try {
+  if (flag === '--print') {
+    if (password.length < 8) throw new Error('Password must be at least 8 characters');
+    console.log(`${normalizeUsername(username)}:${await hashPassword(password)}`);
+  } else {
+    const user = await createUser(username, password);
+    console.log(`Created user ${user.username} (${user.id})`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,75 @@
+// Standalone server: the same api/ functions Vercel runs, on plain Node.
+//
+//   npm start                      PORT (default 3000), HOST (default all interfaces)
+//   ENV_FILE=prod.env npm start    config is read from .env unless ENV_FILE says otherwise
+//
+// /api/health and /api/ready are the liveness and readiness probes. On SIGTERM
+// or SIGINT the server reports not ready for SHUTDOWN_DRAIN_MS (default 0; give
+// load balancers time to notice), then stops accepting connections and waits
+// up to SHUTDOWN_TIMEOUT_MS (default 10000) for in-flight requests (streams
+// included) before closing what's left.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadEnvFile } from './lib/env.js';
+
+// Before anything else is imported: lib/auth.js checks SESSION_SECRET on load
+const envFile = process.env.ENV_FILE || '.env';
+const loaded = loadEnvFile(envFile);
+if (loaded.length) console.log(`Loaded ${loaded.length} setting(s) from ${envFile}`);
+
+const { createRouter } = await import('./lib/router.js');
+const { startDraining } = await import('./lib/health.js');
+
+const INDEX_HTML = path.join(path.dirname(fileURLToPath(import.meta.url)), 'index.html');
+
+const router = createRouter();
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    fs.createReadStream(INDEX_HTML).on('error', () => res.end()).pipe(res);
+    return;
+  }
+  router(req, res);
+});
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || undefined;
+server.listen(port, host, () => {
+  const address = server.address();
+  console.log(`API listening on http://${host || 'localhost'}:${address.port}`);
+});
+
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) {
+    // Second signal: don't wait any longer
+    process.exit(1);
+  }
+  shuttingDown = true;
+  const drainMs = Number(process.env.SHUTDOWN_DRAIN_MS) || 0;
+  const timeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+  console.log(`${signal} received, shutting down`);
+  startDraining();
+
+  setTimeout(() => {
+    server.close(() => {
+      console.log('All connections closed, exiting');
+      process.exit(0);
+    });
+    // Keep-alive connections with no request in flight would hold close() open
+    server.closeIdleConnections();
+
+    setTimeout(() => {
+      console.error('Shutdown timeout reached, closing remaining connections');
+      server.closeAllConnections();
+      process.exit(1);
+    }, timeoutMs).unref();
+  }, drainMs);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,295 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { postJson, signIn, startStack } from './helpers/upstreams.js';
+import { readEventStream } from '../lib/sse.js';
+import { setFetch } from '../lib/providers/http.js';
+import { clientIp } from '../lib/handler.js';
+
+let stack;
+let auth;
+
+before(async () => {
+  stack = await startStack();
+  auth = await signIn(stack.url);
+});
+
+after(() => stack.close());
+
+beforeEach(() => {
+  stack.openai.reset();
+  stack.hf.reset();
+});
+
+const api = path => `${stack.url}/api/${path}`;
+
+test('CORS preflight is answered for every route', async () => {
+  for (const route of ['chat', 'chat2', 'detailedsummary', 'conversations']) {
+    const response = await fetch(api(route), {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://example.com', 'Access-Control-Request-Method': 'POST' },
+    });
+    assert.equal(response.status, 204, route);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.match(response.headers.get('access-control-allow-headers'), /Authorization/);
+  }
+
+  process.env.CORS_ORIGINS = 'https://sarosh.site';
+  const allowed = await fetch(api('chat2'), { method: 'OPTIONS', headers: { Origin: 'https://sarosh.site' } });
+  const refused = await fetch(api('chat2'), { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+  delete process.env.CORS_ORIGINS;
+  assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+  assert.equal(refused.status, 403);
+});
+
+test('routes refuse methods they do not implement', async () => {
+  const cases = [['chat2', 'GET', 'POST, OPTIONS'], ['usage', 'POST', 'GET, OPTIONS'], ['conversations', 'PUT', 'GET, PATCH, DELETE, OPTIONS']];
+  for (const [route, method, allow] of cases) {
+    const response = await fetch(api(route), { method, headers: auth.headers });
+    assert.equal(response.status, 405, route);
+    assert.equal(response.headers.get('allow'), allow);
+    assert.equal((await response.json()).error.code, 'method_not_allowed');
+  }
+});
+
+test('model routes need a signed-in user', async () => {
+  for (const route of ['ai-request', 'chat', 'chat2', 'chat3', 'simplesummary', 'summarize']) {
+    const { status, body } = await postJson(api(route), { message: 'hi', prompt: 'hi', text: 'hi' });
+    assert.equal(status, 401, route);
+    assert.equal(body.error.code, 'unauthorized');
+  }
+  assert.equal(stack.openai.requests.length, 0);
+});
+
+test('every JSON handler answers through the mock upstreams', async () => {
+  const cases = [
+    ['ai-request', { prompt: 'hello' }, body => assert.equal(body.response, 'mock reply 1')],
+    ['chat2', { message: 'hello' }, body => assert.equal(body.reply, 'mock reply 2')],
+    ['chat3', { message: 'hello' }, body => assert.equal(body.reply, 'mock reply 3')],
+    ['simplesummary', { message: 'some text to summarize' }, body => assert.equal(body.reply, 'mock reply 4')],
+    ['summarize', { text: 'a long article' }, body => assert.equal(body.summary, 'summary of 14 characters')],
+  ];
+  for (const [route, payload, check] of cases) {
+    const { status, body } = await postJson(api(route), payload, auth.headers);
+    assert.equal(status, 200, `${route}: ${JSON.stringify(body)}`);
+    check(body);
+  }
+
+  assert.equal(stack.openai.requests.length, 4);
+  assert.equal(stack.openai.requests[0].headers.authorization, 'Bearer test-key');
+  assert.equal(stack.openai.requests[0].body.model, 'gpt-3.5-turbo');
+  assert.deepEqual(stack.hf.requests[0].body, { text: 'a long article' });
+});
+
+test('conversations are kept across chat turns and can be managed', async () => {
+  const first = await postJson(api('chat'), { prompt: 'My name is Sam' }, auth.headers);
+  assert.equal(first.status, 200);
+  const { conversationId } = first.body;
+
+  await postJson(api('chat'), { prompt: 'What is my name?', conversationId }, auth.headers);
+  const sent = stack.openai.requests[1].body.messages.map(m => m.content);
+  assert.deepEqual(sent.slice(1), ['My name is Sam', 'mock reply 1', 'What is my name?']);
+
+  const list = await (await fetch(api('conversations'), { headers: auth.headers })).json();
+  assert.ok(list.conversations.some(c => c.id === conversationId && c.messageCount === 4));
+
+  const renamed = await fetch(`${api('conversations')}?id=${conversationId}`, {
+    method: 'PATCH',
+    headers: { ...auth.headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Names' }),
+  });
+  assert.equal((await renamed.json()).conversation.title, 'Names');
+
+  const deleted = await fetch(`${api('conversations')}?id=${conversationId}`, { method: 'DELETE', headers: auth.headers });
+  assert.equal(deleted.status, 200);
+  const gone = await fetch(`${api('conversations')}?id=${conversationId}`, { headers: auth.headers });
+  assert.equal(gone.status, 404);
+
+  for (const method of ['GET', 'DELETE']) {
+    const tooLong = await fetch(`${api('conversations')}?id=${'x'.repeat(300)}`, { method, headers: auth.headers });
+    assert.equal(tooLong.status, 400, method);
+  }
+});
+
+test('replies stream as server-sent events', async () => {
+  stack.openai.reply('streamed from the mock');
+  const response = await fetch(api('chat2'), {
+    method: 'POST',
+    headers: { ...auth.headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'hello', stream: true }),
+  });
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  let text = '';
+  let done = null;
+  for await (const { event, data } of readEventStream(response.body)) {
+    if (event === 'delta') text += JSON.parse(data).text;
+    if (event === 'done') done = JSON.parse(data);
+  }
+  assert.equal(text, 'streamed from the mock');
+  assert.equal(done.usage.total_tokens, 20);
+});
+
+test('multipart routes accept uploads', async () => {
+  const text = new FormData();
+  text.append('message', 'Summarize the notes');
+  text.append('file', new Blob(['Meeting notes\nShip on Friday.']), 'notes.txt');
+  const summary = await fetch(api('detailedsummary'), { method: 'POST', headers: auth.headers, body: text });
+  assert.equal(summary.status, 200);
+  assert.match((await summary.json()).fileInfo, /notes\.txt/);
+
+  const png = await sharp({ create: { width: 20, height: 20, channels: 3, background: '#336699' } }).png().toBuffer();
+  const image = new FormData();
+  image.append('preset', 'explain-diagram');
+  image.append('image', new Blob([png]), 'diagram.png');
+  const vision = await fetch(api('vision'), { method: 'POST', headers: auth.headers, body: image });
+  const body = await vision.json();
+  assert.equal(vision.status, 200, JSON.stringify(body));
+  assert.deepEqual(body.preset, { name: 'explain-diagram', version: 1 });
+  assert.equal(stack.openai.requests.at(-1).body.messages.at(-1).content[1].type, 'image_url');
+
+  // Vision conversations are chat conversations
+  const list = await (await fetch(api('conversations'), { headers: auth.headers })).json();
+  assert.ok(list.conversations.some(c => c.id === body.conversationId));
+
+  const calls = stack.openai.requests.length;
+  const followUp = new FormData();
+  followUp.append('prompt', 'And the colours?');
+  followUp.append('conversationId', 'x'.repeat(300));
+  const invalid = await fetch(api('vision'), { method: 'POST', headers: auth.headers, body: followUp });
+  assert.deepEqual([invalid.status, (await invalid.json()).error.code], [400, 'invalid_body']);
+  assert.equal(stack.openai.requests.length, calls);
+});
+
+test('usage, reports and probes answer GET', async () => {
+  await postJson(api('chat3'), { message: 'count me' }, auth.headers);
+
+  const usage = await (await fetch(api('usage'), { headers: auth.headers })).json();
+  assert.ok(usage.usage.totalTokens >= 20);
+
+  const reports = await (await fetch(`${api('reports')}?groupBy=route`, { headers: auth.headers })).json();
+  assert.ok(reports.rows.some(row => row.route === 'chat3' && row.calls >= 1));
+  for (const range of ['to=garbage', 'from=2024-02-01&to=2024-01-01']) {
+    const invalid = await fetch(`${api('reports')}?${range}`, { headers: auth.headers });
+    assert.equal(invalid.status, 400, range);
+    assert.equal((await invalid.json()).error.code, 'bad_request');
+  }
+
+  assert.equal((await fetch(api('health'))).status, 200);
+  assert.equal((await fetch(api('ready'))).status, 200);
+});
+
+test('upstream failures map to client errors', async () => {
+  const chat = () => postJson(api('chat2'), { message: 'hello' }, auth.headers);
+
+  stack.openai.reply({ status: 429, headers: { 'Retry-After': '30' } });
+  let response = await chat();
+  assert.deepEqual([response.status, response.body.error.code, response.headers.get('retry-after')], [429, 'upstream_rate_limited', '30']);
+
+  stack.openai.reply({ status: 400, body: { error: { message: 'context length exceeded' } } });
+  response = await chat();
+  assert.deepEqual([response.status, response.body.error.code, response.body.error.message], [400, 'upstream_rejected', 'context length exceeded']);
+
+  stack.openai.reset();
+  stack.openai.reply({ status: 500 }, { status: 500 });
+  response = await chat();
+  assert.deepEqual([response.status, response.body.error.code, response.body.error.retryable], [502, 'upstream_error', true]);
+  assert.equal(stack.openai.requests.length, 2);
+
+  stack.openai.reply({ status: 503 }, 'recovered');
+  response = await chat();
+  assert.deepEqual([response.status, response.body.reply], [200, 'recovered']);
+
+  stack.hf.reply({ status: 503 }, { status: 503 });
+  response = await postJson(api('summarize'), { text: 'hf is down', cache: false }, auth.headers);
+  assert.equal(response.status, 502);
+});
+
+test('timeouts, network failures and missing keys', async () => {
+  const chat = () => postJson(api('chat2'), { message: 'hello' }, auth.headers);
+
+  process.env.AI_TIMEOUT_MS = '100';
+  process.env.AI_MAX_RETRIES = '0';
+  stack.openai.reply('hang');
+  let response = await chat();
+  assert.deepEqual([response.status, response.body.error.code], [504, 'upstream_timeout']);
+  delete process.env.AI_TIMEOUT_MS;
+
+  setFetch(async () => {
+    throw new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND api.openai.com') });
+  });
+  try {
+    response = await chat();
+  } finally {
+    setFetch();
+  }
+  assert.deepEqual([response.status, response.body.error.code], [502, 'upstream_error']);
+  process.env.AI_MAX_RETRIES = '1';
+
+  delete process.env.OPENAI_API_KEY;
+  response = await chat();
+  process.env.OPENAI_API_KEY = 'test-key';
+  assert.deepEqual([response.status, response.body.error.code], [500, 'not_configured']);
+});
+
+test('summaries follow the detected or requested language', async () => {
+  const spanish = 'El gobierno anunció hoy que las nuevas medidas para la economía entrarán en vigor el próximo mes.';
+
+  const simple = await postJson(api('simplesummary'), { message: spanish, targetLanguage: 'fr', detectLanguage: true, cache: false }, auth.headers);
+  assert.equal(simple.status, 200);
+  assert.deepEqual([simple.body.detectedLanguage.code, simple.body.targetLanguage], ['es', 'fr']);
+  assert.match(stack.openai.requests.at(-1).body.messages[0].content, /in Spanish\. Write your answer in French/);
+
+  // The Space only writes English, so its summary is translated back
+  stack.hf.reply('The government announced new economic measures.');
+  stack.openai.reply('El gobierno anunció nuevas medidas económicas.');
+  const summary = await postJson(api('summarize'), { text: spanish, detectLanguage: true, cache: false }, auth.headers);
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.summary, 'El gobierno anunció nuevas medidas económicas.');
+  assert.match(stack.openai.requests.at(-1).body.messages[0].content, /into Spanish/);
+
+  // Nothing asked for, or nothing to go on: no translation, so no OpenAI key needed
+  delete process.env.OPENAI_API_KEY;
+  try {
+    stack.openai.reset();
+    stack.hf.reply('The government announced new economic measures.', '2024: +3%');
+    const plain = await postJson(api('summarize'), { text: spanish, cache: false }, auth.headers);
+    assert.equal(plain.status, 200, JSON.stringify(plain.body));
+    assert.equal(plain.body.summary, 'The government announced new economic measures.');
+    assert.equal(plain.body.detectedLanguage, undefined);
+    const unclear = await postJson(api('summarize'), { text: spanish, detectLanguage: true, cache: false }, auth.headers);
+    assert.equal(unclear.status, 200, JSON.stringify(unclear.body));
+    assert.equal(unclear.body.summary, '2024: +3%');
+    assert.equal(stack.openai.requests.length, 0);
+  } finally {
+    process.env.OPENAI_API_KEY = 'test-key';
+  }
+
+  const invalid = await postJson(api('summarize'), { text: spanish, targetLanguage: 'klingon' }, auth.headers);
+  assert.equal(invalid.status, 400);
+});
+
+test('the per-IP limit ignores X-Forwarded-For unless a proxy is trusted', async () => {
+  process.env.RATE_LIMIT_PER_IP = '2';
+  try {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await postJson(api('login'), { username: 'nobody', password: 'guess' }, { 'X-Forwarded-For': `203.0.113.${i}` });
+      statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [401, 401, 429]);
+  } finally {
+    process.env.RATE_LIMIT_PER_IP = '0';
+  }
+
+  const req = { headers: { 'x-forwarded-for': '198.51.100.7, 203.0.113.9' }, socket: { remoteAddress: '10.0.0.2' } };
+  assert.equal(clientIp(req), '10.0.0.2');
+  process.env.TRUST_PROXY = '1';
+  try {
+    assert.equal(clientIp(req), '203.0.113.9');
+    process.env.TRUST_PROXY = '2';
+    assert.equal(clientIp(req), '198.51.100.7');
+  } finally {
+    delete process.env.TRUST_PROXY;
+  }
+});
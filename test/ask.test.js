@@ -0,0 +1,135 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { postJson, signIn, startStack } from './helpers/upstreams.js';
+import { buildIndex, chunkText, searchDocument } from '../lib/documents.js';
+
+let stack;
+let auth;
+
+before(async () => {
+  stack = await startStack();
+  auth = await signIn(stack.url);
+});
+
+after(() => stack.close());
+
+beforeEach(() => stack.openai.reset());
+
+const api = path => `${stack.url}/api/${path}`;
+
+async function makePdf(pages) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (const lines of pages) {
+    const page = doc.addPage([500, 400]);
+    lines.forEach((line, i) => page.drawText(line, { x: 20, y: 360 - i * 16, size: 11, font }));
+  }
+  return Buffer.from(await doc.save());
+}
+
+async function uploadDocument(content, name, headers = auth.headers) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), name);
+  const response = await fetch(api('documents'), { method: 'POST', headers, body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test('chunks stay within a page and rank by BM25', () => {
+  const chunks = chunkText({
+    content: '',
+    pageTexts: ['The lease starts in March.', 'Rent is 1200 per month.\n\nPets are not allowed.', 'x'.repeat(3000)],
+  });
+  assert.deepEqual(chunks.map(chunk => chunk.page), [1, 2, 3, 3, 3]);
+  assert.ok(chunks.every(chunk => chunk.text.length <= 1200));
+  assert.equal(chunkText({ content: 'No pages here.' })[0].page, null);
+
+  const document = { chunks, index: buildIndex(chunks) };
+  assert.equal(searchDocument(document, 'What is the monthly rent?')[0].chunk.page, 2);
+  assert.deepEqual(searchDocument(document, 'zebra'), []);
+});
+
+test('terms named like Object properties are ranked like any other', () => {
+  const chunks = chunkText({ content: 'The constructor signed the building contract.\n\n' + 'Payment is due in May. '.repeat(60) });
+  // As it comes back from the store
+  const document = JSON.parse(JSON.stringify({ chunks, index: buildIndex(chunks) }));
+
+  const [best] = searchDocument(document, 'Who is the constructor?');
+  assert.equal(best.chunk.index, 1);
+  assert.ok(Number.isFinite(best.score));
+  assert.deepEqual(searchDocument(document, 'toString hasOwnProperty'), []);
+});
+
+test('answers cite the chunks and pages they came from', async () => {
+  const pdf = await makePdf([
+    ['Tenancy agreement between Ada and Grace.', 'The term is twelve months from 1 March.'],
+    ['The monthly rent is 1200 euros, due on the first day of each month.'],
+    ['Pets are not allowed without written consent.'],
+  ]);
+  const uploaded = await uploadDocument(pdf, 'lease.pdf');
+  assert.equal(uploaded.status, 201, JSON.stringify(uploaded.body));
+  const [document] = uploaded.body.documents;
+  assert.equal(document.pages, 3);
+
+  stack.openai.reply('The rent is "1200 euros" a month [1].', 'Pets need written consent [1].');
+  const first = await postJson(api('ask'), { documentId: document.id, question: 'How much is the rent?' }, auth.headers);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.citations.length, 1);
+  const [citation] = first.body.citations;
+  assert.deepEqual([citation.documentId, citation.name], [document.id, 'lease.pdf']);
+  assert.equal(citation.page, 2);
+  assert.match(citation.quote, /monthly rent is 1200 euros/);
+  assert.match(stack.openai.requests[0].body.messages[0].content, /\[1\] \(lease\.pdf, chunk 2, page 2\)/);
+
+  // Follow-ups only need the conversation
+  const followUp = await postJson(api('ask'), { conversationId: first.body.conversationId, question: 'Are pets allowed?' }, auth.headers);
+  assert.equal(followUp.status, 200);
+  assert.match(followUp.body.citations[0].quote, /Pets are not allowed/);
+  assert.deepEqual(stack.openai.requests[1].body.messages.slice(1).map(m => m.role), ['user', 'assistant', 'user']);
+});
+
+test('document conversations are kept apart from chat', async () => {
+  const { body } = await uploadDocument('Meeting notes: ship on Friday.', 'notes.txt');
+  const documentId = body.documents[0].id;
+
+  const chat = await postJson(api('chat'), { prompt: 'Remember the code word: pelican' }, auth.headers);
+  assert.equal(chat.status, 200);
+  stack.openai.reset();
+
+  const asked = await postJson(api('ask'), { documentId, conversationId: chat.body.conversationId, question: 'When do we ship?' }, auth.headers);
+  assert.equal(asked.status, 200, JSON.stringify(asked.body));
+  assert.ok(!JSON.stringify(stack.openai.requests[0].body.messages).includes('pelican'));
+
+  const stored = await (await fetch(`${api('conversations')}?id=${chat.body.conversationId}`, { headers: auth.headers })).json();
+  assert.equal(stored.conversation.messages.length, 2);
+
+  const tooLong = await postJson(api('ask'), { documentId, conversationId: 'x'.repeat(101), question: 'When do we ship?' }, auth.headers);
+  assert.equal(tooLong.status, 400);
+});
+
+test('documents are listed, private to their owner and can be deleted', async () => {
+  const { body } = await uploadDocument('Meeting notes: ship on Friday.', 'notes.txt');
+  const { id } = body.documents[0];
+
+  const list = await (await fetch(api('documents'), { headers: auth.headers })).json();
+  assert.ok(list.documents.some(d => d.id === id && d.chunkCount === 1));
+
+  const other = await signIn(stack.url, 'eve', 'eve-password');
+  const stolen = await postJson(api('ask'), { documentId: id, question: 'When do we ship?' }, other.headers);
+  assert.deepEqual([stolen.status, stolen.body.error.code], [404, 'not_found']);
+
+  // Longer than any file name the file store could look up
+  const long = 'x'.repeat(300);
+  assert.equal((await fetch(`${api('documents')}?id=${long}`, { headers: auth.headers })).status, 400);
+  for (const ids of [{ documentId: long }, { documentIds: [id, long] }]) {
+    const asked = await postJson(api('ask'), { ...ids, question: 'When do we ship?' }, auth.headers);
+    assert.equal(asked.status, 400);
+  }
+
+  const deleted = await fetch(`${api('documents')}?id=${id}`, { method: 'DELETE', headers: auth.headers });
+  assert.equal(deleted.status, 200);
+  assert.equal((await fetch(`${api('documents')}?id=${id}`, { headers: auth.headers })).status, 404);
+
+  const empty = await uploadDocument(Buffer.from('%PDF-1.7\n' + 'A'.repeat(200)), 'broken.pdf');
+  assert.deepEqual([empty.status, empty.body.error.code], [422, 'unreadable_document']);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { postJson, signIn, startStack } from './helpers/upstreams.js';
+
+let stack;
+
+before(async () => {
+  stack = await startStack();
+});
+
+after(() => stack.close());
+
+const api = path => `${stack.url}/api/${path}`;
+const chat3 = headers => postJson(api('chat3'), { message: 'hello' }, headers);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('login checks credentials and sets the session cookies', async () => {
+  const { accessToken } = await signIn(stack.url, 'alice', 'alice-password');
+  assert.ok(accessToken);
+
+  const wrong = await postJson(api('login'), { username: 'alice', password: 'nope-nope' });
+  assert.deepEqual([wrong.status, wrong.body.error.code], [401, 'invalid_credentials']);
+  const unknown = await postJson(api('login'), { username: 'mallory', password: 'alice-password' });
+  assert.equal(unknown.status, 401);
+  const missing = await postJson(api('login'), { username: 'alice' });
+  assert.deepEqual([missing.status, missing.body.error.details[0].field], [400, 'password']);
+
+  const response = await fetch(api('login'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'Alice', password: 'alice-password' }),
+  });
+  const cookies = response.headers.getSetCookie();
+  assert.ok(cookies.some(cookie => cookie.startsWith('token=') && cookie.includes('HttpOnly')));
+  assert.ok(cookies.some(cookie => cookie.startsWith('refresh_token=') && cookie.includes('Path=/api')));
+
+  // The cookie works as well as the bearer token
+  const token = cookies.find(cookie => cookie.startsWith('token=')).split(';')[0];
+  assert.equal((await chat3({ Cookie: token })).status, 200);
+});
+
+test('expired access tokens are refused until refreshed', async () => {
+  process.env.SESSION_MAX_AGE_SEC = '1';
+  const session = await signIn(stack.url, 'bob', 'bob-password');
+  delete process.env.SESSION_MAX_AGE_SEC;
+
+  assert.equal((await chat3(session.headers)).status, 200);
+  await sleep(1100);
+  const expired = await chat3(session.headers);
+  assert.deepEqual([expired.status, expired.body.error.code], [401, 'unauthorized']);
+
+  const refreshed = await postJson(api('refresh'), { refreshToken: session.refreshToken });
+  assert.equal(refreshed.status, 200);
+  assert.equal((await chat3({ Authorization: `Bearer ${refreshed.body.accessToken}` })).status, 200);
+});
+
+test('logout ends the session behind both tokens', async () => {
+  const session = await signIn(stack.url, 'carol', 'carol-password');
+  assert.equal((await postJson(api('logout'), {}, session.headers)).status, 200);
+
+  assert.equal((await chat3(session.headers)).status, 401);
+  const refreshed = await postJson(api('refresh'), { refreshToken: session.refreshToken });
+  assert.deepEqual([refreshed.status, refreshed.body.error.code], [401, 'session_expired']);
+});
+
+test('tampered tokens are refused', async () => {
+  const { accessToken } = await signIn(stack.url, 'dave', 'dave-password');
+  const [payload, signature] = accessToken.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + 1e9 })).toString('base64url');
+
+  assert.equal((await chat3({ Authorization: `Bearer ${forged}.${signature}` })).status, 401);
+  assert.equal((await chat3({ Authorization: 'Bearer garbage' })).status, 401);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheKey, cached, normalizeText } from '../lib/cache.js';
+
+process.env.STORE_BACKEND = 'memory';
+
+function fakeRes() {
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+  };
+  return res;
+}
+
+function counter() {
+  let calls = 0;
+  const compute = async () => ({ reply: `answer ${++calls}` });
+  return { compute, calls: () => calls };
+}
+
+test('keys ignore whitespace but not content or options', () => {
+  assert.equal(normalizeText('  hello \n\n world\t'), 'hello world');
+  assert.equal(cacheKey('summarize', { text: normalizeText('a  b') }), cacheKey('summarize', { text: normalizeText('a b\n') }));
+  assert.notEqual(cacheKey('summarize', { text: 'a' }), cacheKey('summarize', { text: 'b' }));
+  assert.notEqual(cacheKey('simplesummary', { text: 'a', format: 'text' }), cacheKey('simplesummary', { text: 'a', format: 'bullets' }));
+  assert.notEqual(cacheKey('summarize', { text: 'a' }), cacheKey('simplesummary', { text: 'a' }));
+});
+
+test('the second identical request is a hit', async () => {
+  const { compute, calls } = counter();
+  const options = { route: 'summarize', parts: { text: 'hit test' } };
+
+  const first = fakeRes();
+  assert.deepEqual(await cached({ headers: {} }, first, options, compute), { reply: 'answer 1' });
+  assert.equal(first.headers['x-cache'], 'MISS');
+
+  const second = fakeRes();
+  assert.deepEqual(await cached({ headers: {} }, second, options, compute), { reply: 'answer 1' });
+  assert.equal(second.headers['x-cache'], 'HIT');
+  assert.equal(second.headers.age, '0');
+  assert.equal(calls(), 1);
+});
+
+test('clients can bypass or refresh the cache', async () => {
+  const { compute, calls } = counter();
+  const options = { route: 'summarize', parts: { text: 'bypass test' } };
+  await cached({ headers: {} }, fakeRes(), options, compute);
+
+  const refreshed = fakeRes();
+  const body = await cached({ headers: { 'cache-control': 'no-cache' } }, refreshed, options, compute);
+  assert.deepEqual(body, { reply: 'answer 2' });
+  assert.equal(refreshed.headers['x-cache'], 'BYPASS');
+
+  // The refreshed answer replaced the old one
+  assert.deepEqual(await cached({ headers: {} }, fakeRes(), options, compute), { reply: 'answer 2' });
+
+  await cached({ headers: {} }, fakeRes(), { ...options, bypass: true }, compute);
+  await cached({ headers: { 'cache-control': 'no-store' } }, fakeRes(), options, compute);
+  assert.deepEqual(await cached({ headers: {} }, fakeRes(), options, compute), { reply: 'answer 3' });
+  assert.equal(calls(), 4);
+});
+
+test('a TTL of 0 turns caching off', async () => {
+  process.env.CACHE_TTL_SEC = '0';
+  const { compute, calls } = counter();
+  const options = { route: 'summarize', parts: { text: 'ttl test' } };
+  await cached({ headers: {} }, fakeRes(), options, compute);
+  await cached({ headers: {} }, fakeRes(), options, compute);
+  assert.equal(calls(), 2);
+  delete process.env.CACHE_TTL_SEC;
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack } from './helpers/upstreams.js';
+import { buildContext, estimateTokens } from '../lib/context.js';
+
+let stack;
+
+before(async () => {
+  // "ask" runs gpt-4o-mini with 1000 tokens kept for the reply: 110 left for the prompt
+  stack = await startStack({ AI_CONTEXT_TOKENS_GPT_4O_MINI: '1110' });
+});
+
+after(() => {
+  stack.close();
+  delete process.env.AI_CONTEXT_TOKENS_GPT_4O_MINI;
+});
+
+// 46 tokens each as estimated, so two fit the budget next to the system prompt
+const turn = (role, n) => ({ role, content: `Turn ${n}: ${'x'.repeat(152 - String(n).length)}` });
+const addTurns = (conversation, from, to) => {
+  for (let n = from; n <= to; n++) conversation.messages.push(turn(n % 2 ? 'user' : 'assistant', n));
+};
+const summaryRequest = () => stack.openai.requests.at(-1).body.messages.at(-1).content;
+
+test('old turns are folded into a rolling summary and never sent twice', async () => {
+  assert.equal(estimateTokens([turn('user', 1)]), 46);
+  const conversation = { messages: [], summary: null };
+  addTurns(conversation, 1, 6);
+
+  stack.openai.reply('Summary of turns 1-4.');
+  let { messages, context } = await buildContext('ask', conversation, { system: 'Be brief.' });
+  assert.deepEqual(context, { turnsKept: 2, turnsSummarized: 4, turnsDropped: 0, budget: 110 });
+  assert.deepEqual(conversation.summary, { text: 'Summary of turns 1-4.', messageCount: 4 });
+  assert.match(summaryRequest(), /^user: Turn 1:[\s\S]*assistant: Turn 4:/);
+  assert.deepEqual(messages.map(m => m.content.slice(0, 7)), ['Be brie', 'Summary', 'Turn 5:', 'Turn 6:']);
+
+  // The next summary builds on the last one and only reads the turns since
+  addTurns(conversation, 7, 8);
+  stack.openai.reply('Summary of turns 1-7.');
+  ({ messages, context } = await buildContext('ask', conversation, { system: 'Be brief.' }));
+  assert.deepEqual([context.turnsKept, context.turnsSummarized, context.turnsDropped], [1, 7, 0]);
+  assert.equal(conversation.summary.messageCount, 7);
+  assert.match(summaryRequest(), /^Summary of the conversation so far:\nSummary of turns 1-4\.\n\nContinuation:\nuser: Turn 5:/);
+  assert.ok(!/Turn [1-4]:/.test(summaryRequest()));
+  assert.deepEqual(messages.slice(1).map(m => m.content), ['Summary of the earlier conversation:\nSummary of turns 1-7.', turn('assistant', 8).content]);
+
+  // Without a summarizer the turns that don't fit are dropped; the old summary stays
+  addTurns(conversation, 9, 10);
+  stack.openai.reply({ status: 400 });
+  ({ messages, context } = await buildContext('ask', conversation, { system: 'Be brief.' }));
+  assert.deepEqual([context.turnsKept, context.turnsSummarized, context.turnsDropped], [1, 7, 2]);
+  assert.equal(conversation.summary.text, 'Summary of turns 1-7.');
+  assert.deepEqual(messages.map(m => m.content.slice(0, 8)), ['Be brief', 'Summary ', 'Turn 10:']);
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { corsPolicy } from '../lib/cors.js';
+import { withRequest } from '../lib/handler.js';
+
+process.env.STORE_BACKEND = 'memory';
+
+const EXTENSION = 'chrome-extension://abcdefghijklmnopabcdefghijklmnop';
+
+// Just enough of Vercel's req/res for withRequest()
+function request(method, origin) {
+  return { method, headers: origin ? { origin } : {}, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+function response() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  return res;
+}
+
+const route = withRequest('cors-test', async (req, res) => res.status(200).json({ ok: true }), { methods: ['GET', 'POST'] });
+
+beforeEach(() => {
+  process.env.CORS_ORIGINS = `https://sarosh.site, ${EXTENSION}`;
+});
+
+test('listed origins are echoed back with credentials', async () => {
+  for (const origin of ['https://sarosh.site', EXTENSION]) {
+    const res = response();
+    await route(request('POST', origin), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { ok: true });
+    assert.equal(res.headers['access-control-allow-origin'], origin);
+    assert.equal(res.headers['access-control-allow-credentials'], 'true');
+    assert.equal(res.headers.vary, 'Origin');
+  }
+});
+
+test('preflight from a listed origin is answered without running the handler', async () => {
+  const res = response();
+  await route(request('OPTIONS', EXTENSION), res);
+  assert.equal(res.statusCode, 204);
+  assert.equal(res.body, undefined);
+  assert.equal(res.headers['access-control-allow-origin'], EXTENSION);
+  assert.equal(res.headers['access-control-allow-methods'], 'GET, POST, OPTIONS');
+  assert.match(res.headers['access-control-allow-headers'], /Authorization/);
+});
+
+test('unlisted origins are rejected, preflight or not', async () => {
+  for (const method of ['OPTIONS', 'POST']) {
+    for (const origin of ['https://evil.example', 'chrome-extension://someotherextensionid', 'https://sarosh.site.evil.example']) {
+      const res = response();
+      await route(request(method, origin), res);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.headers['access-control-allow-origin'], undefined);
+    }
+  }
+});
+
+test('requests without an Origin header are unaffected', async () => {
+  const res = response();
+  await route(request('POST'), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['access-control-allow-origin'], undefined);
+});
+
+test('a wildcard entry admits other origins without credentials', () => {
+  process.env.CORS_ORIGINS = `${EXTENSION},*`;
+  assert.deepEqual(corsPolicy(EXTENSION), { allowed: true, allowOrigin: EXTENSION, credentials: true });
+  assert.deepEqual(corsPolicy('https://anywhere.example'), { allowed: true, allowOrigin: '*', credentials: false });
+});
+
+test('CORS_ORIGINS defaults to a wildcard and ignores case and trailing slashes', () => {
+  delete process.env.CORS_ORIGINS;
+  assert.equal(corsPolicy('https://anywhere.example').allowOrigin, '*');
+
+  process.env.CORS_ORIGINS = 'https://Sarosh.site/';
+  assert.equal(corsPolicy('https://sarosh.site').credentials, true);
+  assert.equal(corsPolicy('https://other.example').allowed, false);
+});
@@ -0,0 +1,203 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { signIn, startStack } from './helpers/upstreams.js';
+import { CHUNK_CHARS } from '../lib/mapreduce.js';
+
+let stack;
+let auth;
+
+before(async () => {
+  stack = await startStack();
+  auth = await signIn(stack.url);
+});
+
+after(() => stack.close());
+
+beforeEach(() => stack.openai.reset());
+
+async function makePdf(pages) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (const text of pages) {
+    doc.addPage([400, 300]).drawText(text, { x: 20, y: 250, size: 12, font });
+  }
+  return Buffer.from(await doc.save());
+}
+
+async function upload(files, fields = {}, headers = auth.headers) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  for (const [content, name] of files) form.append('file', new Blob([content]), name);
+  const response = await fetch(`${stack.url}/api/detailedsummary`, { method: 'POST', headers, body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+// What the model was asked in the last call
+const lastPrompt = () => stack.openai.requests.at(-1).body.messages.at(-1).content;
+
+// Small files also cover pdf-parse reading past a pooled Buffer's slice
+test('PDF text is extracted page by page', async () => {
+  const { status, body } = await upload([[await makePdf(['Quarterly revenue grew 12%', 'Costs were flat']), 'report.pdf']]);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.fileInfo, /report\.pdf .*PDF Document\) - 2 pages/);
+  assert.match(lastPrompt(), /Quarterly revenue grew 12%/);
+  assert.match(lastPrompt(), /Costs were flat/);
+});
+
+test('text files are passed through with the message', async () => {
+  const { status, body } = await upload([['name,score\nada,10\n', 'scores.csv']], { message: 'Who scored highest?' });
+  assert.equal(status, 200);
+  assert.match(body.fileInfo, /CSV File/);
+  assert.match(lastPrompt(), /^User request: Who scored highest\?/);
+  assert.match(lastPrompt(), /ada,10/);
+});
+
+test('spreadsheets are sent as CSV per sheet', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Sales');
+  sheet.addRow(['Region', 'Amount', 'Closed']);
+  sheet.addRow(['North, East', 1200.5, new Date(Date.UTC(2024, 0, 5))]);
+  sheet.addRow(['South', { formula: 'B2*2', result: 2401 }]);
+  workbook.addWorksheet('Notes');
+
+  const { status, body } = await upload([[Buffer.from(await workbook.xlsx.writeBuffer()), 'sales.xlsx']]);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.fileInfo, /Excel Spreadsheet\) - 2 sheets \(Sales, Notes\)/);
+  assert.match(lastPrompt(), /## Sheet: Sales \(3 rows x 3 columns\)\nRegion,Amount,Closed\n"North, East",1200.5,2024-01-05\nSouth,2401,/);
+  assert.match(lastPrompt(), /## Sheet: Notes \(0 rows x 0 columns\)\n\[empty sheet\]/);
+});
+
+test('sparse spreadsheets past the limits are refused', async () => {
+  // A few KB on disk, 200000 rows x 16384 columns as declared
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Sparse');
+  sheet.getCell('A1').value = 'start';
+  sheet.getCell('XFD200000').value = 'end';
+
+  const { status, body } = await upload([[Buffer.from(await workbook.xlsx.writeBuffer()), 'sparse.xlsx']]);
+  assert.deepEqual([status, body.error.code], [413, 'spreadsheet_too_large']);
+  assert.equal(stack.openai.requests.length, 0);
+});
+
+async function makeZip(parts) {
+  const zip = new JSZip();
+  for (const [name, xml] of Object.entries(parts)) zip.file(name, xml);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('Word documents are sent as plain text', async () => {
+  const docx = await makeZip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/document.xml': '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>Minutes of the board</w:t></w:r></w:p><w:p><w:r><w:t>The budget was approved.</w:t></w:r></w:p></w:body></w:document>',
+  });
+
+  const { status, body } = await upload([[docx, 'minutes.docx']]);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.fileInfo, /minutes\.docx .*Word Document\)/);
+  assert.match(lastPrompt(), /Minutes of the board\n\nThe budget was approved\./);
+});
+
+test('presentations are sent slide by slide with their notes', async () => {
+  const slide = text => `<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sld>`;
+  const pptx = await makeZip({
+    'ppt/presentation.xml': '<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"/>',
+    'ppt/slides/slide1.xml': slide('Roadmap'),
+    'ppt/slides/slide2.xml': slide('Q3 &amp; Q4 goals'),
+    'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId2" Target="../notesSlides/notesSlide7.xml"/></Relationships>',
+    'ppt/notesSlides/notesSlide7.xml': slide('Mention the hiring plan'),
+  });
+
+  const { status, body } = await upload([[pptx, 'roadmap.pptx']]);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.fileInfo, /PowerPoint Presentation\) - 2 slides/);
+  assert.match(lastPrompt(), /## Slide 1\nRoadmap\n\n## Slide 2\nQ3 & Q4 goals\n\nSpeaker notes:\nMention the hiring plan/);
+});
+
+test('unsupported and mislabelled uploads are refused before processing', async () => {
+  const exe = await upload([[Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]), 'setup.exe']]);
+  assert.deepEqual([exe.status, exe.body.error.code], [415, 'unsupported_file_type']);
+
+  const renamed = await upload([['plain text, not a PDF', 'fake.pdf']]);
+  assert.deepEqual([renamed.status, renamed.body.error.code], [415, 'file_type_mismatch']);
+
+  const nothing = await upload([]);
+  assert.equal(nothing.status, 400);
+  assert.equal(stack.openai.requests.length, 0);
+});
+
+test('corrupt PDFs are reported to the model instead of failing the request', async () => {
+  const corrupt = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(200, 0x41)]);
+  const { status, body } = await upload([[corrupt, 'broken.pdf']]);
+  assert.equal(status, 200);
+  assert.match(body.fileInfo, /Processing Error/);
+  assert.match(lastPrompt(), /\[Error processing file: broken\.pdf\]/);
+});
+
+test('documents too long for one request are summarized in sections', async () => {
+  const paragraph = 'This paragraph is filler text about the history of bridges. '.repeat(20);
+  const long = Array.from({ length: Math.ceil((CHUNK_CHARS * 2.5) / paragraph.length) }, () => paragraph).join('\n\n');
+
+  const { status, body } = await upload([[long, 'history.txt']]);
+  assert.equal(status, 200);
+  assert.ok(body.sections.length >= 3, `expected at least 3 sections, got ${body.sections.length}`);
+  // One call per section plus the combining call, none of them over the limit
+  assert.equal(stack.openai.requests.length, body.sections.length + 1);
+  for (const request of stack.openai.requests) {
+    assert.ok(request.body.messages.at(-1).content.length <= CHUNK_CHARS * 1.5);
+  }
+});
+
+test('one request may only fan out so far', async () => {
+  const paragraph = 'This paragraph is filler text about the history of tunnels. '.repeat(20);
+  const long = Array.from({ length: Math.ceil((CHUNK_CHARS * 2.5) / paragraph.length) }, () => paragraph).join('\n\n');
+
+  // Too many sections: refused before any model call
+  process.env.SUMMARY_MAX_SECTIONS = '2';
+  try {
+    const { status, body } = await upload([[long, 'tunnels.txt']], { cache: 'false' });
+    assert.deepEqual([status, body.error.code], [413, 'input_too_long']);
+    assert.equal(stack.openai.requests.length, 0);
+  } finally {
+    delete process.env.SUMMARY_MAX_SECTIONS;
+  }
+
+  // The quota is checked before every call, not just once (each mock call uses 20 tokens)
+  const miser = await signIn(stack.url, 'miser', 'miser-password');
+  Object.assign(process.env, { QUOTA_DAILY_TOKENS: '30', SUMMARY_CONCURRENCY: '1' });
+  try {
+    const { status, body } = await upload([[long, 'tunnels.txt']], { cache: 'false' }, miser.headers);
+    assert.deepEqual([status, body.error.code], [429, 'quota_exceeded']);
+    assert.equal(stack.openai.requests.length, 2);
+  } finally {
+    delete process.env.QUOTA_DAILY_TOKENS;
+    delete process.env.SUMMARY_CONCURRENCY;
+  }
+});
+
+test('compare mode includes a line diff of two versions', async () => {
+  const { status, body } = await upload([
+    ['Rent: 1000\nTerm: 12 months\nPets: no\n', 'lease-v1.txt'],
+    ['Rent: 1200\nTerm: 12 months\nPets: no\n', 'lease-v2.txt'],
+  ], { mode: 'compare' });
+  assert.equal(status, 200);
+  assert.equal(body.mode, 'compare');
+  assert.match(lastPrompt(), /Line changes from lease-v1\.txt to lease-v2\.txt/);
+  assert.match(lastPrompt(), /- Rent: 1000\n\+ Rent: 1200/);
+});
+
+test('each document reports its own language', async () => {
+  const { status, body } = await upload([
+    ['The committee said that the report was published on Monday and is available online.', 'minutes-en.txt'],
+    ['Die Regierung hat heute angekündigt, dass die neuen Maßnahmen im nächsten Monat in Kraft treten.', 'minutes-de.txt'],
+  ], { mode: 'each', targetLanguage: 'en', detectLanguage: 'true' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.files.map(file => file.detectedLanguage.code), ['en', 'de']);
+  assert.equal(body.detectedLanguage, null);
+  const systems = stack.openai.requests.map(request => request.body.messages[0].content);
+  assert.ok(systems.some(system => system.endsWith(' Write your answer in English.')));
+  assert.ok(systems.some(system => system.includes('The content is in German.')));
+});
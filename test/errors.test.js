@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import http from 'node:http';
+import { ApiError, ProviderError, badRequest, toApiError } from '../lib/errors.js';
+import { postJson } from '../lib/providers/http.js';
+import { withRequest } from '../lib/handler.js';
+
+process.env.STORE_BACKEND = 'memory';
+process.env.AI_RETRY_BASE_MS = '1';
+
+// Upstream that answers each request with the next queued step:
+// a status code, "ok", or "hang" (never answers)
+let steps = [];
+let hits = 0;
+let upstream;
+let url;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    hits += 1;
+    const step = steps.shift() ?? 'ok';
+    if (step === 'hang') return;
+    res.setHeader('Content-Type', 'application/json');
+    if (step === 'ok') return res.end(JSON.stringify({ ok: true }));
+    res.statusCode = step;
+    res.end(JSON.stringify({ error: { message: `status ${step}` } }));
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${upstream.address().port}`;
+});
+
+after(() => {
+  upstream.closeAllConnections();
+  upstream.close();
+});
+
+function call() {
+  return postJson(url, { provider: 'test', body: {}, read: response => response.json() });
+}
+
+test('upstream statuses map to client statuses and codes', () => {
+  const cases = [
+    [{ status: 429, retryAfterSec: 5 }, 429, 'upstream_rate_limited', true],
+    [{ status: 400, details: { error: { message: 'too long' } } }, 400, 'upstream_rejected', false],
+    [{ status: 401 }, 502, 'upstream_error', false],
+    [{ status: 500 }, 502, 'upstream_error', true],
+    [{ status: 503 }, 502, 'upstream_error', true],
+    [{ timeout: true }, 504, 'upstream_timeout', true],
+    [{}, 502, 'upstream_error', true],
+    [{ code: 'not_configured' }, 500, 'not_configured', false],
+  ];
+  for (const [options, status, code, retryable] of cases) {
+    const error = toApiError(new ProviderError('boom', { provider: 'test', ...options }));
+    assert.deepEqual([error.status, error.code, error.retryable], [status, code, retryable], JSON.stringify(options));
+  }
+  assert.equal(toApiError(new ProviderError('x', { status: 400, details: { error: { message: 'too long' } } })).message, 'too long');
+  assert.equal(toApiError(new ProviderError('x', { status: 429, retryAfterSec: 5 })).retryAfterSec, 5);
+});
+
+test('unknown errors become a generic 500 without leaking the message', () => {
+  const error = toApiError(new Error('secret internals'));
+  assert.deepEqual([error.status, error.code, error.message], [500, 'internal_error', 'Something went wrong']);
+  assert.equal(toApiError(badRequest('nope')).status, 400);
+});
+
+test('retryable statuses are retried until they succeed', async () => {
+  steps = [503, 429, 'ok'];
+  hits = 0;
+  assert.deepEqual(await call(), { ok: true });
+  assert.equal(hits, 3);
+});
+
+test('retries stop after AI_MAX_RETRIES', async () => {
+  process.env.AI_MAX_RETRIES = '1';
+  steps = [500, 500, 500];
+  hits = 0;
+  await assert.rejects(call(), err => err instanceof ProviderError && err.status === 500);
+  assert.equal(hits, 2);
+  delete process.env.AI_MAX_RETRIES;
+});
+
+test('no abort listeners are left on the caller signal', async () => {
+  const controller = new AbortController();
+  for (const queued of [['ok'], [503, 'ok']]) {
+    steps = queued;
+    await postJson(url, { provider: 'test', body: {}, signal: controller.signal, read: response => response.json() });
+  }
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('client errors are not retried', async () => {
+  steps = [400, 'ok'];
+  hits = 0;
+  await assert.rejects(call(), err => err.status === 400);
+  assert.equal(hits, 1);
+  steps = [];
+});
+
+test('slow attempts time out and are retried', async () => {
+  process.env.AI_TIMEOUT_MS = '100';
+  steps = ['hang', 'ok'];
+  hits = 0;
+  assert.deepEqual(await call(), { ok: true });
+  assert.equal(hits, 2);
+
+  process.env.AI_MAX_RETRIES = '0';
+  steps = ['hang'];
+  await assert.rejects(call(), err => err instanceof ProviderError && err.timeout);
+  delete process.env.AI_TIMEOUT_MS;
+  delete process.env.AI_MAX_RETRIES;
+});
+
+test('handlers answer thrown errors with the envelope and request id', async () => {
+  const route = withRequest('errors-test', async () => {
+    throw new ApiError(404, 'not_found', 'Nothing here');
+  });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+
+  await route({ method: 'POST', headers: { 'x-request-id': 'req-42' }, socket: {} }, res);
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.headers['x-request-id'], 'req-42');
+  assert.deepEqual(res.body, {
+    error: { code: 'not_found', message: 'Nothing here', retryable: false, requestId: 'req-42' },
+  });
+});
@@ -0,0 +1,164 @@
+import http from 'node:http';
+import { createRouter } from '../../lib/router.js';
+import { createUser } from '../../lib/users.js';
+
+// Integration harness: local stand-ins for api.openai.com and the Hugging Face
+// summarizer Space, and the api/ functions served through lib/router.js, all
+// on 127.0.0.1 so the suite runs offline.
+//
+// Each mock answers with the next scripted step, falling back to a canned
+// reply when nothing is queued:
+//
+//   openai.reply('text')                                  a completion
+//   openai.reply({ status: 429, headers: { 'Retry-After': '30' } })
+//   openai.reply('hang')                                  never answer (timeouts)
+//   openai.reply(body => `echo ${body.messages.length}`)  computed per request
+//
+// Every request body is kept in `.requests`.
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => (data += chunk));
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+function createMock(answer) {
+  const mock = {
+    requests: [],
+    queue: [],
+    reply(...steps) {
+      mock.queue.push(...steps);
+      return mock;
+    },
+    reset() {
+      mock.requests.length = 0;
+      mock.queue.length = 0;
+    },
+  };
+
+  mock.server = http.createServer(async (req, res) => {
+    const body = await readJson(req);
+    mock.requests.push({ url: req.url, headers: req.headers, body });
+    let step = mock.queue.shift();
+    if (typeof step === 'function') step = step(body);
+    if (step === 'hang') return;
+
+    if (step && typeof step === 'object') {
+      res.writeHead(step.status || 200, { 'Content-Type': 'application/json', ...step.headers });
+      res.end(JSON.stringify(step.body ?? { error: { message: `mock error ${step.status}` } }));
+      return;
+    }
+    answer(body, res, step, mock.requests.length);
+  });
+  return mock;
+}
+
+function sendCompletion(body, res, text) {
+  const usage = { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 };
+  if (!body.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: body.model, choices: [{ message: { role: 'assistant', content: text } }], usage }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const piece of text.match(/.{1,8}/gs) || []) {
+    res.write(`data: ${JSON.stringify({ model: body.model, choices: [{ delta: { content: piece } }] })}\n\n`);
+  }
+  res.write(`data: ${JSON.stringify({ model: body.model, choices: [], usage })}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * OpenAI-compatible chat completions, streamed when the request asks for it.
+ */
+export async function startMockOpenAI() {
+  const mock = createMock((body, res, step, count) => sendCompletion(body, res, step ?? `mock reply ${count}`));
+  mock.url = await listen(mock.server);
+  return mock;
+}
+
+/**
+ * The Space's POST /summarize: { text } -> { summary }.
+ */
+export async function startMockHuggingFace() {
+  const mock = createMock((body, res, step) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ summary: step ?? `summary of ${String(body.text).length} characters` }));
+  });
+  mock.url = `${await listen(mock.server)}/summarize`;
+  return mock;
+}
+
+/**
+ * Start both mocks and the API, pointed at each other through the same
+ * environment variables a deployment uses. Stores are in memory and the IP
+ * rate limit is off; retries are quick.
+ */
+export async function startStack(env = {}) {
+  const openai = await startMockOpenAI();
+  const hf = await startMockHuggingFace();
+
+  Object.assign(process.env, {
+    OPENAI_API_KEY: 'test-key',
+    OPENAI_BASE_URL: openai.url,
+    HF_SPACE_URL: hf.url,
+    STORE_BACKEND: 'memory',
+    RATE_LIMIT_PER_IP: '0',
+    AI_RETRY_BASE_MS: '1',
+    AI_MAX_RETRIES: '1',
+    ...env,
+  });
+
+  const router = createRouter();
+  const api = http.createServer((req, res) => router(req, res));
+  const url = await listen(api);
+
+  return {
+    openai,
+    hf,
+    url,
+    close() {
+      for (const server of [api, openai.server, hf.server]) {
+        server.closeAllConnections();
+        server.close();
+      }
+    },
+  };
+}
+
+/**
+ * Create an account and sign in. Resolves to { accessToken, refreshToken, headers }.
+ */
+export async function signIn(url, username = 'tester', password = 'correct horse battery') {
+  await createUser(username, password).catch(() => {});
+  const response = await fetch(`${url}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(`login failed: ${JSON.stringify(body)}`);
+  return { ...body, headers: { Authorization: `Bearer ${body.accessToken}` } };
+}
+
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
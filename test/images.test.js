@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { prepareImage } from '../lib/images.js';
+
+const solid = (width, height, { channels = 3 } = {}) =>
+  sharp({ create: { width, height, channels, background: { r: 200, g: 30, b: 30, alpha: 1 } } });
+
+test('small images are sent as they are', async () => {
+  const png = await solid(40, 30).png().toBuffer();
+  const image = await prepareImage(png, 'image/png');
+  assert.equal(image.resized, false);
+  assert.equal(image.dataUrl, `data:image/png;base64,${png.toString('base64')}`);
+  assert.deepEqual([image.width, image.height], [40, 30]);
+});
+
+test('large images are downscaled to fit VISION_MAX_DIMENSION', async () => {
+  process.env.VISION_MAX_DIMENSION = '100';
+  const image = await prepareImage(await solid(400, 200).png().toBuffer(), 'image/png');
+  delete process.env.VISION_MAX_DIMENSION;
+
+  assert.equal(image.resized, true);
+  assert.equal(image.mime, 'image/jpeg');
+  assert.deepEqual([image.width, image.height], [100, 50]);
+  assert.ok(image.dataUrl.startsWith('data:image/jpeg;base64,'));
+});
+
+test('transparency is kept and unsupported types are re-encoded', async () => {
+  process.env.VISION_MAX_DIMENSION = '100';
+  const transparent = await prepareImage(await solid(300, 300, { channels: 4 }).png().toBuffer(), 'image/png');
+  delete process.env.VISION_MAX_DIMENSION;
+  assert.equal(transparent.mime, 'image/png');
+
+  const tiff = await prepareImage(await solid(20, 20).tiff().toBuffer(), 'image/tiff');
+  assert.equal(tiff.resized, true);
+  assert.equal(tiff.mime, 'image/jpeg');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, languageInstruction, languageOptions, parseLanguage } from '../lib/language.js';
+
+test('target languages are read from codes, tags and names', () => {
+  assert.deepEqual(parseLanguage('de'), { code: 'de', name: 'German' });
+  assert.deepEqual(parseLanguage('pt-br'), { code: 'pt-BR', name: 'Portuguese (BR)' });
+  assert.deepEqual(parseLanguage(' Japanese '), { code: 'ja', name: 'Japanese' });
+  assert.throws(() => parseLanguage('klingon'), { status: 400 });
+
+  assert.deepEqual(languageOptions({}), { target: null, detect: false });
+  assert.equal(languageOptions({ detectLanguage: 'true' }).detect, true);
+  assert.equal(languageOptions({ detectLanguage: 'false' }).detect, false);
+});
+
+test('the source language is detected from script and common words', () => {
+  const cases = [
+    ['El gobierno anunció hoy que las nuevas medidas para la economía entrarán en vigor el próximo mes.', 'es'],
+    ['Die Regierung hat heute angekündigt, dass die neuen Maßnahmen im nächsten Monat in Kraft treten.', 'de'],
+    ['The committee said that the report was published on Monday and is available online.', 'en'],
+    ['Привет, как дела? Сегодня хорошая погода.', 'ru'],
+    ['今日はとても良い天気ですね。', 'ja'],
+  ];
+  for (const [text, code] of cases) {
+    const detected = detectLanguage(text);
+    assert.equal(detected?.code, code, text);
+    assert.ok(detected.confidence >= 0.5, `${code}: ${detected.confidence}`);
+  }
+  assert.equal(detectLanguage('12345 !!'), null);
+  // Too little to tell apart from its neighbours
+  assert.ok(detectLanguage('a long article').confidence < 0.5);
+});
+
+test('the instruction names the reply language', () => {
+  const spanish = { code: 'es', name: 'Spanish', confidence: 0.9 };
+  assert.match(languageInstruction({ target: parseLanguage('fr'), detected: spanish }), /in Spanish\. Write your answer in French/);
+  assert.equal(languageInstruction({ target: parseLanguage('es'), detected: spanish }), ' Write your answer in Spanish.');
+  assert.match(languageInstruction({ target: null, detected: spanish }), /write your answer in Spanish/);
+  assert.equal(languageInstruction({ target: null, detected: { ...spanish, confidence: 0.2 } }), '');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { ocrPdf } from '../lib/ocr.js';
+
+// A line of black text on white, as a scanner would see it
+function scan(text) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="200"><rect width="100%" height="100%" fill="white"/><text x="20" y="110" font-family="sans-serif" font-size="48">${text}</text></svg>`;
+  return sharp(Buffer.from(svg)).flatten({ background: '#ffffff' });
+}
+
+// An image XObject on `page`, without drawing it (OCR only looks at the resources)
+function addImage(doc, page, pixels, { width, height, bits = 8 }) {
+  const stream = doc.context.flateStream(pixels, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: width,
+    Height: height,
+    ColorSpace: 'DeviceGray',
+    BitsPerComponent: bits,
+  });
+  page.node.newXObject('Scan', doc.context.register(stream));
+}
+
+test('scanned PDF pages are read with OCR', async () => {
+  const doc = await PDFDocument.create();
+
+  // A JPEG scan, and a Flate-compressed greyscale one
+  const jpeg = await doc.embedJpg(await scan('Invoice total 420 euros').jpeg().toBuffer());
+  doc.addPage([400, 100]).drawImage(jpeg, { x: 0, y: 0, width: 400, height: 100 });
+  const { data, info } = await scan('Due by the end of March').grayscale().raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.channels, 1);
+  addImage(doc, doc.addPage([400, 100]), data, info);
+
+  const result = await ocrPdf(Buffer.from(await doc.save()));
+  assert.equal(result.pagesProcessed, 2);
+  assert.match(result.pageTexts[0], /Invoice total 420 euros/);
+  assert.match(result.pageTexts[1], /Due by the end of March/);
+  assert.ok(result.confidence > 50, `confidence ${result.confidence}`);
+});
+
+test('images whose declared size does not fit are skipped', async () => {
+  const doc = await PDFDocument.create();
+  // A few bytes claiming to be 100000 x 100000 pixels, and a size the data doesn't match
+  addImage(doc, doc.addPage(), Buffer.alloc(16), { width: 100000, height: 100000, bits: 1 });
+  addImage(doc, doc.addPage(), Buffer.alloc(16), { width: 4000, height: 4000, bits: 1 });
+
+  const result = await ocrPdf(Buffer.from(await doc.save()));
+  assert.equal(result.text, '');
+  assert.deepEqual(result.pageTexts, ['', '']);
+});
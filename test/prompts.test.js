@@ -0,0 +1,91 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { postJson, signIn, startStack } from './helpers/upstreams.js';
+import { renderTemplate } from '../lib/prompts.js';
+
+let stack;
+let admin;
+let user;
+
+before(async () => {
+  stack = await startStack({ ADMIN_USERS: 'prompt-admin' });
+  admin = await signIn(stack.url, 'prompt-admin', 'admin-password');
+  user = await signIn(stack.url, 'prompt-user', 'user-password');
+});
+
+after(() => {
+  delete process.env.ADMIN_USERS;
+  stack.close();
+});
+
+beforeEach(() => stack.openai.reset());
+
+const api = path => `${stack.url}/api/${path}`;
+const lastSystem = () => stack.openai.requests.at(-1).body.messages[0].content;
+
+function send(method, path, body, headers = admin.headers) {
+  return fetch(api(path), {
+    method,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+test('templates fill variables and sections, and add sentences for the rest', () => {
+  const template = 'Explain things.{{#audience}} Your reader is {{audience}}.{{/audience}}';
+  assert.equal(renderTemplate(template, {}), 'Explain things.');
+  assert.equal(
+    renderTemplate(template, { audience: 'a new student', tone: 'friendly', length: 'under 100 words' }),
+    'Explain things. Your reader is a new student. Keep the answer under 100 words. Use a friendly tone.',
+  );
+});
+
+test('routes use their default preset and record it', async () => {
+  const chat = await postJson(api('chat2'), { message: 'hi' }, user.headers);
+  assert.deepEqual(chat.body.preset, { name: 'assistant', version: 1 });
+  assert.equal(lastSystem(), 'You are a helpful AI assistant.');
+
+  const summary = await postJson(api('simplesummary'), {
+    message: 'Some notes to summarize.',
+    preset: 'assistant',
+    variables: { tone: 'formal' },
+    cache: false,
+  }, user.headers);
+  assert.deepEqual(summary.body.preset, { name: 'assistant', version: 1 });
+  assert.match(lastSystem(), /^You are a helpful AI assistant\. Use a formal tone\./);
+
+  const unknown = await postJson(api('chat3'), { message: 'hi', preset: 'nope' }, user.headers);
+  assert.equal(unknown.status, 400);
+  const badVariable = await postJson(api('chat2'), { message: 'hi', variables: { mood: 'sad' } }, user.headers);
+  assert.equal(badVariable.status, 400);
+  const huggingFace = await postJson(api('summarize'), { text: 'hi', preset: 'summarizer' }, user.headers);
+  assert.equal(huggingFace.status, 400);
+});
+
+test('admins create and version presets; old versions stay usable', async () => {
+  const created = await send('POST', 'prompts', { name: 'tutor', description: 'Patient tutor', template: 'You are a patient tutor for {{audience}}.' });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal((await send('POST', 'prompts', { name: 'tutor', template: 'again' })).status, 409);
+  assert.equal((await send('POST', 'prompts', { name: 'odd', template: 'Hi {{mood}}' })).status, 400);
+
+  const updated = await send('PUT', 'prompts?name=tutor', { template: 'You are a strict tutor for {{audience}}.' });
+  assert.deepEqual(updated.body.preset.versions.map(v => v.version), [1, 2]);
+
+  await postJson(api('chat3'), { message: 'hi', preset: 'tutor', variables: { audience: 'beginners' } }, user.headers);
+  assert.equal(lastSystem(), 'You are a strict tutor for beginners.');
+  const pinned = await postJson(api('chat3'), { message: 'hi', preset: 'tutor@1', variables: { audience: 'beginners' } }, user.headers);
+  assert.deepEqual(pinned.body.preset, { name: 'tutor', version: 1 });
+  assert.equal(lastSystem(), 'You are a patient tutor for beginners.');
+
+  // Built-ins can be versioned but not deleted
+  const assistant = await send('PUT', 'prompts?name=assistant', { template: 'You are a concise assistant.' });
+  assert.equal(assistant.body.preset.versions.at(-1).version, 2);
+  assert.equal((await send('DELETE', 'prompts?name=assistant')).status, 400);
+
+  const list = await (await fetch(api('prompts'), { headers: user.headers })).json();
+  assert.ok(list.presets.some(p => p.name === 'tutor' && p.version === 2 && !p.builtIn));
+
+  assert.equal((await send('PUT', 'prompts?name=tutor', { template: 'x' }, user.headers)).status, 403);
+  assert.equal((await send('DELETE', 'prompts?name=tutor')).status, 200);
+  assert.equal((await fetch(api('prompts?name=tutor'), { headers: user.headers })).status, 404);
+});
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createRouter } from '../lib/router.js';
+import { parseEnv } from '../lib/env.js';
+import { startDraining } from '../lib/health.js';
+
+process.env.STORE_BACKEND = 'memory';
+
+let dir;
+let server;
+let base;
+
+before(async () => {
+  // Route modules shaped like the ones in api/
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'router-test-'));
+  fs.writeFileSync(path.join(dir, 'echo.js'), `
+    export default (req, res) => res.status(201).json({ method: req.method, query: req.query, body: req.body ?? null });
+  `);
+  fs.writeFileSync(path.join(dir, 'raw.js'), `
+    export const config = { api: { bodyParser: false } };
+    export default async (req, res) => {
+      let size = 0;
+      for await (const chunk of req) size += chunk.length;
+      res.status(200).send(\`read \${size} bytes, body \${req.body === undefined ? 'untouched' : 'parsed'}\`);
+    };
+  `);
+  fs.writeFileSync(path.join(dir, 'notes.md'), 'not a route');
+
+  const router = createRouter({ dir });
+  server = http.createServer((req, res) => router(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('routes get Vercel-style query and parsed JSON bodies', async () => {
+  const response = await fetch(`${base}/api/echo/?id=7&q=a`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'hi' }),
+  });
+  assert.equal(response.status, 201);
+  assert.deepEqual(await response.json(), { method: 'POST', query: { id: '7', q: 'a' }, body: { message: 'hi' } });
+
+  const form = await fetch(`${base}/api/echo`, { method: 'POST', body: new URLSearchParams({ a: '1' }) });
+  assert.deepEqual((await form.json()).body, { a: '1' });
+});
+
+test('bad bodies and unknown paths get the error envelope', async () => {
+  const invalid = await fetch(`${base}/api/echo`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"message":' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.code, 'invalid_json');
+
+  process.env.MAX_BODY_BYTES = '10';
+  const large = await fetch(`${base}/api/echo`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'x'.repeat(100) });
+  delete process.env.MAX_BODY_BYTES;
+  assert.equal(large.status, 413);
+
+  for (const pathname of ['/api/missing', '/api/notes', '/elsewhere']) {
+    const response = await fetch(`${base}${pathname}`);
+    assert.equal(response.status, 404, pathname);
+    assert.equal((await response.json()).error.code, 'not_found');
+  }
+});
+
+test('bodyParser: false leaves the stream to the handler', async () => {
+  const response = await fetch(`${base}/api/raw`, { method: 'POST', body: 'x'.repeat(1000) });
+  assert.equal(await response.text(), 'read 1000 bytes, body untouched');
+});
+
+test('unknown paths fall through to next() when mounted as middleware', async () => {
+  const router = createRouter({ dir });
+  let passed = false;
+  await router({ url: '/other', headers: {} }, {}, () => {
+    passed = true;
+  });
+  assert.equal(passed, true);
+});
+
+test('health and readiness probes', async () => {
+  const router = createRouter();
+  const probe = http.createServer((req, res) => router(req, res));
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${probe.address().port}`;
+
+  try {
+    const health = await fetch(`${url}/api/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).status, 'ok');
+
+    process.env.OPENAI_API_KEY = 'test-key';
+    const ready = await fetch(`${url}/api/ready`);
+    assert.equal(ready.status, 200, JSON.stringify(await ready.clone().json()));
+    assert.equal((await ready.json()).checks.store.ok, true);
+
+    delete process.env.OPENAI_API_KEY;
+    const unconfigured = await fetch(`${url}/api/ready`);
+    assert.equal(unconfigured.status, 503);
+    assert.equal((await unconfigured.json()).checks.providers.ok, false);
+
+    process.env.OPENAI_API_KEY = 'test-key';
+    startDraining();
+    const draining = await fetch(`${url}/api/ready`);
+    assert.equal(draining.status, 503);
+    assert.equal((await draining.json()).checks.draining.ok, false);
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+    probe.close();
+  }
+});
+
+test('.env files are parsed like a shell would', () => {
+  const values = parseEnv([
+    '# comment',
+    'PLAIN=value # trailing comment',
+    'export EXPORTED=1',
+    'DOUBLE="two words\\nnext line"',
+    "SINGLE='keeps \\n and $HOME'",
+    'EMPTY=',
+    'not a setting',
+  ].join('\n'));
+
+  assert.deepEqual(values, {
+    PLAIN: 'value',
+    EXPORTED: '1',
+    DOUBLE: 'two words\nnext line',
+    SINGLE: 'keeps \\n and $HOME',
+    EMPTY: '',
+  });
+});
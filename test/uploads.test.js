@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import JSZip from 'jszip';
+import { ApiError } from '../lib/errors.js';
+import { checkImageUrl, checkUpload, discardUploads, parseUploads, sniffMime } from '../lib/uploads.js';
+import { validateBody, validateSchema } from '../lib/schema.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 16]);
+const PDF = Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n');
+const EXE = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00]);
+
+async function zipWith(name) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<Types/>');
+  zip.file(name, '<xml/>');
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+function rejectsWith(fn, status, code) {
+  assert.throws(fn, err => err instanceof ApiError && err.status === status && err.code === code);
+}
+
+test('types are sniffed from content', async () => {
+  assert.equal(sniffMime(PNG), 'image/png');
+  assert.equal(sniffMime(JPEG), 'image/jpeg');
+  assert.equal(sniffMime(PDF), 'application/pdf');
+  assert.equal(sniffMime(await zipWith('word/document.xml')), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(sniffMime(await zipWith('xl/workbook.xml')), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  assert.equal(sniffMime(await zipWith('other.txt')), 'application/zip');
+  assert.equal(sniffMime(Buffer.from('BMW quarterly report\nRevenue: up')), 'text/plain');
+  assert.equal(sniffMime(Buffer.from('naïve café')), 'text/plain');
+  assert.equal(sniffMime(EXE), null);
+});
+
+test('uploads must be an allowed type that matches their extension', async () => {
+  assert.deepEqual(checkUpload(PDF, 'report.PDF'), { mime: 'application/pdf', extension: '.pdf' });
+  assert.deepEqual(checkUpload(PDF, 'report'), { mime: 'application/pdf', extension: '.pdf' });
+  assert.deepEqual(checkUpload(Buffer.from('a,b\n1,2\n'), 'data.csv'), { mime: 'text/plain', extension: '.csv' });
+  assert.deepEqual(checkUpload(Buffer.from('print(1)\n'), 'script.py'), { mime: 'text/plain', extension: '.txt' });
+
+  rejectsWith(() => checkUpload(EXE, 'setup.exe'), 415, 'unsupported_file_type');
+  rejectsWith(() => checkUpload(EXE, 'notes.txt'), 415, 'unsupported_file_type');
+  const zip = await zipWith('other.txt');
+  rejectsWith(() => checkUpload(zip, 'archive.docx'), 415, 'unsupported_file_type');
+  rejectsWith(() => checkUpload(PNG, 'report.pdf'), 415, 'file_type_mismatch');
+  rejectsWith(() => checkUpload(Buffer.from('just text'), 'photo.jpg'), 415, 'file_type_mismatch');
+});
+
+test('image data URLs are checked for type, content and size', () => {
+  const png = `data:image/png;base64,${PNG.toString('base64')}`;
+  assert.equal(checkImageUrl(png), png);
+
+  rejectsWith(() => checkImageUrl(`data:image/svg+xml;base64,${Buffer.from('<svg/>').toString('base64')}`), 400, 'invalid_image');
+  rejectsWith(() => checkImageUrl(`data:image/jpeg;base64,${PNG.toString('base64')}`), 400, 'invalid_image');
+  rejectsWith(() => checkImageUrl('data:image/png,not-base64'), 400, 'invalid_image');
+
+  process.env.MAX_IMAGE_BYTES = '100';
+  rejectsWith(() => checkImageUrl(`data:image/png;base64,${Buffer.concat([PNG, Buffer.alloc(200)]).toString('base64')}`), 400, 'invalid_image');
+  delete process.env.MAX_IMAGE_BYTES;
+});
+
+test('image links must be https', () => {
+  assert.equal(checkImageUrl('https://example.com/cat.png'), 'https://example.com/cat.png');
+  for (const url of ['http://example.com/cat.png', 'file:///etc/passwd', 'ftp://example.com/a.png', 'javascript:alert(1)', 'cat.png', 'https://user:pw@example.com/a.png']) {
+    rejectsWith(() => checkImageUrl(url), 400, 'invalid_image');
+  }
+});
+
+test('bodies are validated with field-level errors', () => {
+  const schema = {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 5 },
+      count: { type: 'integer', minimum: 1 },
+      format: { type: 'string', enum: ['a', 'b'] },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+  };
+
+  assert.deepEqual(validateBody({ message: 'hi', count: 2 }, schema), { message: 'hi', count: 2 });
+  rejectsWith(() => validateBody('message=hi', schema), 400, 'invalid_body');
+
+  try {
+    validateBody({ count: 1.5, format: 'c', tags: ['x', 3] }, schema);
+    assert.fail('expected a validation error');
+  } catch (err) {
+    assert.equal(err.code, 'invalid_body');
+    assert.deepEqual(err.details, [
+      { field: 'message', message: 'is required' },
+      { field: 'count', message: 'expected integer, got number' },
+      { field: 'format', message: 'must be one of: a, b' },
+      { field: 'tags[1]', message: 'expected string, got number' },
+    ]);
+  }
+
+  assert.deepEqual(validateSchema({ type: 'array', items: { type: 'string' } }, ['a', 1]), ['$[1]: expected string, got number']);
+});
+
+// A multipart request as formidable reads it off the socket
+async function multipart(form) {
+  const response = new Response(form);
+  const body = Buffer.from(await response.arrayBuffer());
+  const request = new PassThrough();
+  request.end(body);
+  request.headers = { 'content-type': response.headers.get('content-type'), 'content-length': String(body.length) };
+  return request;
+}
+
+test('multipart requests give first field values and the files in field order', async () => {
+  const form = () => {
+    const data = new FormData();
+    data.append('message', 'first');
+    data.append('message', 'second');
+    data.append('files', new Blob(['b']), 'b.txt');
+    data.append('file', new Blob(['a']), 'a.txt');
+    data.append('other', new Blob(['c']), 'c.txt');
+    return data;
+  };
+
+  const { fields, files } = await parseUploads(await multipart(form()), { fileFields: ['file', 'files'], maxFiles: 5, maxFileBytes: 100 });
+  assert.deepEqual(fields, { message: 'first' });
+  assert.deepEqual(files.map(file => file.originalFilename), ['a.txt', 'b.txt']);
+  discardUploads(files);
+
+  await assert.rejects(
+    parseUploads(await multipart(form()), { fileFields: ['file'], maxFiles: 1, maxFileBytes: 100 }),
+    err => err instanceof ApiError && err.status === 413 && err.code === 'invalid_upload',
+  );
+});
@@ -0,0 +1,189 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { postJson, signIn, startStack } from './helpers/upstreams.js';
+import { extractArticle } from '../lib/html.js';
+import { processFile } from '../lib/extract.js';
+import { isPrivateAddress } from '../lib/webpage.js';
+
+const ARTICLE = `<!doctype html>
+<html lang="en"><head>
+<title>Tides | Sea News</title>
+<meta property="og:title" content="Tides of Change">
+<meta property="og:site_name" content="Sea News">
+<script type="application/ld+json">{"@type":"NewsArticle","author":{"@type":"Person","name":"Jane Roe"},"datePublished":"2024-03-05T10:00:00Z"}</script>
+<script>document.write("<p>not content</p>")</script>
+</head><body>
+<header><a href="/">Sea News</a><nav><a href="/world">World</a> <a href="/tech">Tech</a></nav></header>
+<div class="ad-slot">Buy a boat today!</div>
+<article>
+  <h1>Tides of Change</h1>
+  <p>The ocean is rising, slowly but surely, as glaciers melt and coastal towns adapt to the water.
+  <p>Engineers build sea walls, planners move roads inland, and insurers &amp; banks redraw their maps.
+  <h2>Measurements</h2>
+  <table><tr><th>Year<th>Rise (mm)<tr><td>2000<td>3<tr><td>2020<td>4</table>
+  <div class="share-buttons"><a href="#">Share on social media</a></div>
+</article>
+<aside class="sidebar">Most read: celebrity yachts</aside>
+<footer>© 2024 Sea News</footer>
+</body></html>`;
+
+let stack;
+let auth;
+let site;
+let siteUrl;
+
+before(async () => {
+  stack = await startStack({ WEBPAGE_ALLOW_PRIVATE: 'true' });
+  auth = await signIn(stack.url);
+  site = http.createServer((req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(301, { Location: '/article' });
+      return res.end();
+    }
+    if (req.url === '/endless') {
+      // No Content-Length, and more than WEBPAGE_MAX_BYTES in the test below
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      for (let i = 0; i < 20; i++) res.write(`<p>${'filler '.repeat(100)}</p>`);
+      return res.end();
+    }
+    if (req.url === '/gzip') {
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+      return res.end(zlib.gzipSync(ARTICLE));
+    }
+    if (req.url === '/report.pdf') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      return res.end('%PDF-1.4');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(ARTICLE);
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  siteUrl = `http://127.0.0.1:${site.address().port}`;
+});
+
+after(() => {
+  stack.close();
+  site.closeAllConnections();
+  site.close();
+});
+
+beforeEach(() => {
+  stack.openai.reset();
+  stack.hf.reset();
+});
+
+const api = path => `${stack.url}/api/${path}`;
+
+test('extracts the article without page furniture', () => {
+  const article = extractArticle(ARTICLE, { url: 'https://news.example/tides' });
+
+  assert.equal(article.title, 'Tides of Change');
+  assert.equal(article.author, 'Jane Roe');
+  assert.equal(article.date, '2024-03-05T10:00:00.000Z');
+  assert.equal(article.siteName, 'Sea News');
+  assert.equal(article.lang, 'en');
+  assert.match(article.content, /^# Tides of Change\n\nThe ocean is rising/);
+  assert.match(article.content, /^## Measurements$/m);
+  assert.match(article.content, /\| Year \| Rise \(mm\) \|\n\| --- \| --- \|\n\| 2000 \| 3 \|/);
+  assert.match(article.content, /insurers & banks/);
+  for (const junk of ['World', 'Buy a boat', 'Share on', 'celebrity', '©', 'not content']) {
+    assert.ok(!article.content.includes(junk), `kept "${junk}"`);
+  }
+});
+
+test('parses broken and deeply nested markup in linear time', () => {
+  for (const html of ['<body>' + '<a '.repeat(400000), '<p>' + '<div>'.repeat(50000) + 'deep</p>']) {
+    const started = Date.now();
+    extractArticle(html);
+    assert.ok(Date.now() - started < 3000, `took ${Date.now() - started} ms`);
+  }
+});
+
+test('uploaded HTML files are read as articles', async () => {
+  const file = path.join(os.tmpdir(), `page-${process.pid}.html`);
+  fs.writeFileSync(file, ARTICLE);
+  try {
+    const processed = await processFile(file, 'page.html');
+    assert.equal(processed.type, 'HTML Page');
+    assert.equal(processed.title, 'Tides of Change');
+    assert.match(processed.content, /^Title: Tides of Change\nAuthor: Jane Roe\n/);
+    assert.ok(!processed.content.includes('<table>'));
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+test('summarizes a fetched page, following redirects', async () => {
+  const { status, body } = await postJson(api('webpage'), { url: `${siteUrl}/old` }, auth.headers);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.reply, 'mock reply 1');
+  assert.equal(body.summarizer, 'simple');
+  assert.deepEqual(body.preset, { name: 'summarizer', version: 1 });
+  assert.equal(body.page.url, `${siteUrl}/article`);
+  assert.equal(body.page.tables, 1);
+
+  const sent = stack.openai.requests[0].body.messages.at(-1).content;
+  assert.match(sent, /^Title: Tides of Change\nAuthor: Jane Roe\n/);
+  assert.ok(!sent.includes('celebrity yachts'));
+
+  const compressed = await postJson(api('webpage'), { url: `${siteUrl}/gzip`, extractOnly: true }, auth.headers);
+  assert.equal(compressed.status, 200, JSON.stringify(compressed.body));
+  assert.equal(compressed.body.page.title, 'Tides of Change');
+});
+
+test('summarizes posted HTML with the Hugging Face summarizer', async () => {
+  const { status, body } = await postJson(api('webpage'), { html: ARTICLE, summarizer: 'hf' }, auth.headers);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.reply, /^summary of \d+ characters$/);
+  assert.equal(body.preset, null);
+  assert.match(stack.hf.requests[0].body.text, /^# Tides of Change/);
+  assert.equal(stack.openai.requests.length, 0);
+
+  const formatted = await postJson(api('webpage'), { html: ARTICLE, summarizer: 'hf', format: 'bullets' }, auth.headers);
+  assert.equal(formatted.status, 400);
+});
+
+test('refuses private addresses, non-HTML pages and empty pages', async () => {
+  assert.ok(isPrivateAddress('127.0.0.1'));
+  assert.ok(isPrivateAddress('::ffff:192.168.1.10'));
+  assert.ok(isPrivateAddress('::1'));
+  assert.ok(!isPrivateAddress('93.184.216.34'));
+
+  delete process.env.WEBPAGE_ALLOW_PRIVATE;
+  try {
+    // By address, and by a name that resolves to one (checked on the lookup used to connect)
+    const port = new URL(siteUrl).port;
+    for (const url of [`${siteUrl}/article`, `http://localhost:${port}/article`]) {
+      const blocked = await postJson(api('webpage'), { url }, auth.headers);
+      assert.equal(blocked.status, 403, url);
+      assert.equal(blocked.body.error.code, 'url_not_allowed');
+    }
+  } finally {
+    process.env.WEBPAGE_ALLOW_PRIVATE = 'true';
+  }
+
+  process.env.WEBPAGE_MAX_BYTES = '5000';
+  try {
+    const large = await postJson(api('webpage'), { url: `${siteUrl}/endless` }, auth.headers);
+    assert.equal(large.status, 413);
+    assert.equal(large.body.error.code, 'page_too_large');
+  } finally {
+    delete process.env.WEBPAGE_MAX_BYTES;
+  }
+
+  const pdf = await postJson(api('webpage'), { url: `${siteUrl}/report.pdf` }, auth.headers);
+  assert.equal(pdf.status, 415);
+  assert.equal(pdf.body.error.code, 'unsupported_content_type');
+
+  const ftp = await postJson(api('webpage'), { url: 'ftp://example.com/file' }, auth.headers);
+  assert.equal(ftp.body.error.code, 'invalid_url');
+
+  const empty = await postJson(api('webpage'), { html: '<nav><a href="/">Home</a></nav>' }, auth.headers);
+  assert.equal(empty.status, 422);
+  assert.equal(stack.openai.requests.length, 0);
+});